@@ -0,0 +1,236 @@
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { once } = require('events');
+const { hashPassword } = require('../src/utils/breachedPasswords');
+const { getBreachedPasswordsDir } = require('../src/config/password.config');
+const logger = require('../src/utils/logger');
+
+// The input is sorted in runs of this many hashes, so memory use doesn't grow with the list
+const RUN_SIZE = 1000000;
+
+// Most sorted runs merged at once (each one keeps a file open)
+const MERGE_FAN_IN = 64;
+
+// Parse command line options:
+//   node scripts/build-breached-passwords.js <input> [--hashed] [--prefix-length N] [--output DIR]
+// Input is one password per line, or with --hashed one SHA-1 hash per line
+// (the Have I Been Pwned "HASH:COUNT" download format is accepted as is)
+const parseArgs = (args) => {
+  const options = {
+    input: null,
+    hashed: false,
+    prefixLength: 1,
+    output: getBreachedPasswordsDir()
+  };
+  
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--hashed') {
+      options.hashed = true;
+    } else if (args[i] === '--prefix-length') {
+      options.prefixLength = parseInt(args[++i], 10);
+    } else if (args[i] === '--output') {
+      options.output = path.resolve(args[++i]);
+    } else {
+      options.input = path.resolve(args[i]);
+    }
+  }
+  
+  if (!options.input) {
+    throw new Error('Usage: build-breached-passwords.js <input> [--hashed] [--prefix-length N] [--output DIR]');
+  }
+  
+  if (!(options.prefixLength >= 1 && options.prefixLength <= 5)) {
+    throw new Error('Prefix length must be between 1 and 5');
+  }
+  
+  return options;
+};
+
+// Write a chunk to a stream, waiting for it to drain when its buffer is full
+const write = async (stream, chunk) => {
+  if (!stream.write(chunk)) {
+    await once(stream, 'drain');
+  }
+};
+
+// End a write stream and wait until the file is written
+const close = (stream) => new Promise((resolve, reject) => {
+  stream.once('error', reject);
+  stream.end(resolve);
+});
+
+// Read a file line by line, one line per next() call
+const openLines = (filePath) => {
+  return readline.createInterface({
+    input: fs.createReadStream(filePath, 'utf8'),
+    crlfDelay: Infinity
+  })[Symbol.asyncIterator]();
+};
+
+// Stream the distinct lines of sorted files in sorted order, reading one line of each at a time
+const mergeSorted = async (files, onLine) => {
+  const readers = files.map(openLines);
+  const heads = await Promise.all(readers.map(reader => reader.next()));
+  let last = null;
+  
+  for (;;) {
+    let smallest = -1;
+    
+    heads.forEach((head, i) => {
+      if (!head.done && (smallest === -1 || head.value < heads[smallest].value)) {
+        smallest = i;
+      }
+    });
+    
+    if (smallest === -1) {
+      return;
+    }
+    
+    const line = heads[smallest].value;
+    heads[smallest] = await readers[smallest].next();
+    
+    if (line !== last) {
+      await onLine(line);
+      last = line;
+    }
+  }
+};
+
+// Merge sorted files into one sorted file
+const mergeToFile = async (files, target) => {
+  const stream = fs.createWriteStream(target);
+  
+  await mergeSorted(files, line => write(stream, `${line}\n`));
+  await close(stream);
+};
+
+// Function to build the bucket files of the compromised password list
+const buildBreachedPasswords = async () => {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    
+    // Remove the bucket files of a previous build
+    await fs.promises.mkdir(options.output, { recursive: true });
+    
+    for (const file of await fs.promises.readdir(options.output)) {
+      if (/^[0-9A-F]{1,5}\.txt$/.test(file) || file === 'index.json') {
+        await fs.promises.unlink(path.join(options.output, file));
+      }
+    }
+    
+    let count = 0;
+    let buckets = 0;
+    
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'breached-passwords-'));
+    
+    try {
+      let runs = [];
+      let hashes = [];
+      
+      // Sort the buffered hashes and set them aside as a run
+      const writeRun = async () => {
+        const run = path.join(workDir, `run-${runs.length}.txt`);
+        
+        await fs.promises.writeFile(run, `${hashes.sort().join('\n')}\n`);
+        runs.push(run);
+        hashes = [];
+      };
+      
+      const lines = readline.createInterface({
+        input: fs.createReadStream(options.input, 'utf8'),
+        crlfDelay: Infinity
+      });
+      
+      for await (const line of lines) {
+        const value = line.trim();
+        
+        if (!value) {
+          continue;
+        }
+        
+        const hash = options.hashed ? value.split(':')[0].toUpperCase() : hashPassword(value);
+        
+        if (!/^[0-9A-F]{40}$/.test(hash)) {
+          logger.warn(`Skipping invalid hash: ${hash}`);
+          continue;
+        }
+        
+        hashes.push(hash);
+        
+        if (hashes.length >= RUN_SIZE) {
+          await writeRun();
+        }
+      }
+      
+      if (hashes.length) {
+        await writeRun();
+      }
+      
+      // Merge the runs in groups until they can all be merged at once
+      let pass = 0;
+      while (runs.length > MERGE_FAN_IN) {
+        const merged = [];
+        
+        for (let i = 0; i < runs.length; i += MERGE_FAN_IN) {
+          const group = runs.slice(i, i + MERGE_FAN_IN);
+          const target = path.join(workDir, `merge-${pass}-${merged.length}.txt`);
+          
+          await mergeToFile(group, target);
+          await Promise.all(group.map(run => fs.promises.unlink(run)));
+          merged.push(target);
+        }
+        
+        runs = merged;
+        pass++;
+      }
+      
+      // The merged hashes arrive sorted, so each bucket is written in one go, already
+      // sorted and de-duplicated for the binary search done by lookups
+      let bucket = null;
+      let prefix = null;
+      
+      await mergeSorted(runs, async (hash) => {
+        if (hash.slice(0, options.prefixLength) !== prefix) {
+          if (bucket) {
+            await close(bucket);
+          }
+          
+          prefix = hash.slice(0, options.prefixLength);
+          bucket = fs.createWriteStream(path.join(options.output, `${prefix}.txt`));
+          buckets++;
+        }
+        
+        await write(bucket, `${hash.slice(options.prefixLength)}\n`);
+        count++;
+      });
+      
+      if (bucket) {
+        await close(bucket);
+      }
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+    
+    await fs.promises.writeFile(path.join(options.output, 'index.json'), `${JSON.stringify({
+      prefixLength: options.prefixLength,
+      count,
+      source: path.basename(options.input),
+      generatedAt: new Date().toISOString()
+    }, null, 2)}\n`);
+    
+    logger.info(`Wrote ${count} hashes in ${buckets} buckets to ${options.output}`);
+    
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Error building compromised password list: ${error.message}`);
+    logger.error(error.stack);
+    
+    process.exit(1);
+  }
+};
+
+// Run the function
+buildBreachedPasswords();
@@ -1,6 +1,5 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
-const bcrypt = require('bcryptjs');
 const logger = require('../src/utils/logger');
 
 // Function to check admin user
@@ -32,19 +31,15 @@ const checkAdmin = async () => {
       const testPassword = process.env.ADMIN_PASSWORD;
       logger.info(`Testing password from .env: ${testPassword}`);
       
-      const isMatch = await bcrypt.compare(testPassword, adminUser.password);
+      const isMatch = await adminUser.comparePassword(testPassword);
       logger.info(`Password match: ${isMatch}`);
       
       if (!isMatch) {
         // If password doesn't match, update it
         logger.info('Updating admin password...');
         
-        // Generate salt and hash
-        const salt = await bcrypt.genSalt(10);
-        const hashedPassword = await bcrypt.hash(testPassword, salt);
-        
-        // Update admin password
-        adminUser.password = hashedPassword;
+        // Update admin password (hashed by pre-save hook)
+        adminUser.password = testPassword;
         await adminUser.save();
         
         logger.info('Admin password updated successfully');
@@ -1,6 +1,5 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
-const bcrypt = require('bcryptjs');
 const logger = require('../src/utils/logger');
 
 // Function to create admin user
@@ -34,7 +33,7 @@ const createAdmin = async () => {
         description: 'System administrator with full access',
         isGlobal: true,
         permissions: [
-          'user:read', 'user:write', 'user:delete',
+          'user:read', 'user:write', 'user:delete', 'user:impersonate', 'user:recover',
           'role:read', 'role:write', 'role:delete',
           'service:read', 'service:write', 'service:delete',
           'audit:read'
@@ -82,7 +81,7 @@ const createAdmin = async () => {
     
     // Test login with plain text password
     const testUser = await User.findOne({ username: process.env.ADMIN_USERNAME }).select('+password');
-    const isMatch = await bcrypt.compare(process.env.ADMIN_PASSWORD, testUser.password);
+    const isMatch = await testUser.comparePassword(process.env.ADMIN_PASSWORD);
     
     logger.info(`Password verification test: ${isMatch ? 'PASSED' : 'FAILED'}`);
     
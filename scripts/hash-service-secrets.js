@@ -0,0 +1,52 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const logger = require('../src/utils/logger');
+
+// Function to replace API secrets stored in plain text (by older versions) with their hashes
+const hashServiceSecrets = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI, {
+      serverSelectionTimeoutMS: 5000,
+      socketTimeoutMS: 45000,
+    });
+    
+    logger.info('MongoDB Connected');
+    
+    // Import models
+    const { Service } = require('../src/models');
+    
+    // Hashed secrets start with "sha256$"
+    const services = await Service.find({ apiSecret: { $not: /^sha256\$/ } }).select('+apiSecret');
+    
+    // Saving hashes the plain secret; the secret itself stays the same for the service
+    for (const service of services) {
+      await service.save();
+      logger.info(`Hashed API secret of service ${service.name}`);
+    }
+    
+    logger.info(`Services updated: ${services.length}`);
+    
+    // Close connection
+    await mongoose.connection.close();
+    logger.info('MongoDB connection closed');
+    
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Error hashing service secrets: ${error.message}`);
+    logger.error(error.stack);
+    
+    // Close connection
+    try {
+      await mongoose.connection.close();
+      logger.info('MongoDB connection closed');
+    } catch (err) {
+      logger.error('Error closing MongoDB connection');
+    }
+    
+    process.exit(1);
+  }
+};
+
+// Run the function
+hashServiceSecrets();
@@ -0,0 +1,112 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const logger = require('../src/utils/logger');
+
+// Function to import users from another system, keeping their existing password hashes
+// Input is a JSON array of { username, email, displayName, passwordHash, isEmailVerified, status }
+// Supported hashes: bcrypt, argon2id, $pbkdf2-<digest>$... and $salted-sha256$... (see src/utils/passwordHasher.js)
+// Legacy hashes are upgraded to the configured algorithm the first time each user logs in
+const importUsers = async () => {
+  try {
+    const inputPath = process.argv[2];
+    
+    if (!inputPath) {
+      throw new Error('Usage: import-users.js <users.json>');
+    }
+    
+    const records = JSON.parse(await fs.promises.readFile(path.resolve(inputPath), 'utf8'));
+    
+    if (!Array.isArray(records)) {
+      throw new Error('Input must be a JSON array of users');
+    }
+    
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI, {
+      serverSelectionTimeoutMS: 5000,
+      socketTimeoutMS: 45000,
+    });
+    
+    logger.info('MongoDB Connected');
+    
+    // Import models
+    const { User, Role, UserService } = require('../src/models');
+    const { identifyHash } = require('../src/utils/passwordHasher');
+    
+    const defaultRole = await Role.findOne({ name: 'user', isGlobal: true });
+    const counts = { imported: 0, skipped: 0, failed: 0 };
+    
+    for (const record of records) {
+      const label = record.username || record.email || '(unnamed)';
+      
+      if (!identifyHash(record.passwordHash)) {
+        logger.warn(`Skipping ${label}: unsupported password hash format`);
+        counts.failed++;
+        continue;
+      }
+      
+      // Existing accounts are left untouched
+      const existingUser = await User.findOne({
+        $or: [{ username: record.username }, { email: record.email }]
+      });
+      
+      if (existingUser) {
+        logger.warn(`Skipping ${label}: username or email already in use`);
+        counts.skipped++;
+        continue;
+      }
+      
+      try {
+        const user = new User({
+          username: record.username,
+          email: record.email,
+          displayName: record.displayName || record.username,
+          isEmailVerified: record.isEmailVerified === true,
+          status: record.status || 'active'
+        });
+        
+        user.setPasswordHash(record.passwordHash);
+        await user.save();
+        
+        if (defaultRole) {
+          await UserService.create({
+            userId: user._id,
+            serviceId: null, // Global relationship
+            roles: [defaultRole._id],
+            status: 'active'
+          });
+        }
+        
+        counts.imported++;
+      } catch (error) {
+        logger.warn(`Skipping ${label}: ${error.message}`);
+        counts.failed++;
+      }
+    }
+    
+    logger.info(`Imported: ${counts.imported}, already existing: ${counts.skipped}, failed: ${counts.failed}`);
+    
+    // Close connection
+    await mongoose.connection.close();
+    logger.info('MongoDB connection closed');
+    
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Error importing users: ${error.message}`);
+    logger.error(error.stack);
+    
+    // Close connection
+    try {
+      await mongoose.connection.close();
+      logger.info('MongoDB connection closed');
+    } catch (err) {
+      logger.error('Error closing MongoDB connection');
+    }
+    
+    process.exit(1);
+  }
+};
+
+// Run the function
+importUsers();
@@ -0,0 +1,47 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const logger = require('../src/utils/logger');
+
+// Function to rotate the token signing key immediately (e.g. after a suspected key compromise)
+const rotateSigningKey = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI, {
+      serverSelectionTimeoutMS: 5000,
+      socketTimeoutMS: 45000,
+    });
+    
+    logger.info('MongoDB Connected');
+    
+    // Import key store
+    const { rotateSigningKeys } = require('../src/utils/signingKeys');
+    
+    const result = await rotateSigningKeys({ force: true });
+    
+    logger.info(`New signing key: ${result.kid}`);
+    logger.info(`Retired keys: ${result.retiredCount}`);
+    logger.info('Previous keys stay published until the tokens they signed expire');
+    
+    // Close connection
+    await mongoose.connection.close();
+    logger.info('MongoDB connection closed');
+    
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Error rotating signing key: ${error.message}`);
+    logger.error(error.stack);
+    
+    // Close connection
+    try {
+      await mongoose.connection.close();
+      logger.info('MongoDB connection closed');
+    } catch (err) {
+      logger.error('Error closing MongoDB connection');
+    }
+    
+    process.exit(1);
+  }
+};
+
+// Run the function
+rotateSigningKey();
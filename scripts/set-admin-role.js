@@ -1,6 +1,5 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
-const bcrypt = require('bcryptjs');
 const logger = require('../src/utils/logger');
 
 // Function to create admin user and role
@@ -30,7 +29,7 @@ const setAdminRole = async () => {
         description: 'System administrator with full access',
         isGlobal: true,
         permissions: [
-          'user:read', 'user:write', 'user:delete',
+          'user:read', 'user:write', 'user:delete', 'user:impersonate', 'user:recover',
           'role:read', 'role:write', 'role:delete',
           'service:read', 'service:write', 'service:delete',
           'audit:read'
@@ -66,15 +65,11 @@ const setAdminRole = async () => {
     if (!adminUser) {
       logger.info('Creating admin user...');
       
-      // Generate hashed password
-      const salt = await bcrypt.genSalt(10);
-      const hashedPassword = await bcrypt.hash(process.env.ADMIN_PASSWORD, salt);
-      
-      // Create admin user
+      // Create admin user with plain text password (will be hashed by pre-save hook)
       adminUser = await User.create({
         username: process.env.ADMIN_USERNAME,
         email: process.env.ADMIN_EMAIL,
-        password: hashedPassword,
+        password: process.env.ADMIN_PASSWORD,
         displayName: process.env.ADMIN_DISPLAY_NAME,
         isEmailVerified: true,
         status: 'active',
@@ -0,0 +1,26 @@
+const path = require('path');
+
+// Mail delivery settings
+const getMailConfig = () => ({
+  // Transport name: "smtp" for real delivery, "file" to write messages to an outbox directory
+  transport: process.env.MAIL_TRANSPORT || 'file',
+  from: process.env.MAIL_FROM || 'TOC <no-reply@localhost>',
+  appName: process.env.MAIL_APP_NAME || 'TOC',
+  smtp: {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  },
+  outboxDir: path.resolve(process.env.MAIL_OUTBOX_DIR || 'outbox'),
+  // Queue processing and retries
+  maxAttempts: parseInt(process.env.MAIL_MAX_ATTEMPTS || '5', 10),
+  retryBaseSeconds: parseInt(process.env.MAIL_RETRY_BASE_SECONDS || '30', 10),
+  pollIntervalSeconds: parseInt(process.env.MAIL_QUEUE_INTERVAL_SECONDS || '15', 10)
+});
+
+module.exports = {
+  getMailConfig
+};
@@ -0,0 +1,9 @@
+// Issuer identifier (must match the URL the discovery document is served under)
+const getIssuer = () => {
+  return (process.env.OIDC_ISSUER || `http://localhost:${process.env.PORT || 3000}${process.env.API_PREFIX || '/api'}`)
+    .replace(/\/+$/, '');
+};
+
+module.exports = {
+  getIssuer
+};
@@ -0,0 +1,43 @@
+const path = require('path');
+
+// Baseline password policy applied to every account; services can only make it stricter
+const getBasePasswordPolicy = () => ({
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH || '8', 10),
+  maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH || '128', 10),
+  requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+  requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+  requireNumbers: process.env.PASSWORD_REQUIRE_NUMBERS !== 'false',
+  requireSymbols: process.env.PASSWORD_REQUIRE_SYMBOLS === 'true',
+  // Number of previous passwords that can't be reused (0: only the rules above)
+  historySize: parseInt(process.env.PASSWORD_HISTORY_SIZE || '5', 10),
+  // Days before a password must be changed (0: passwords don't expire)
+  maxAgeDays: parseInt(process.env.PASSWORD_MAX_AGE_DAYS || '0', 10),
+  // Screening against the compromised password list and the user's own details
+  rejectBreached: process.env.PASSWORD_REJECT_BREACHED !== 'false',
+  rejectPersonalInfo: process.env.PASSWORD_REJECT_PERSONAL_INFO !== 'false'
+});
+
+// Location of the compromised password list (bucket files built by scripts/build-breached-passwords.js)
+const getBreachedPasswordsDir = () => {
+  return path.resolve(process.env.BREACHED_PASSWORDS_DIR || path.join(__dirname, '../../data/breached-passwords'));
+};
+
+// Algorithm and parameters for new password hashes; older hashes are upgraded on the next login
+const getPasswordHashConfig = () => ({
+  // "bcrypt" or "argon2id"
+  algorithm: process.env.PASSWORD_HASH_ALGORITHM || 'bcrypt',
+  bcrypt: {
+    cost: parseInt(process.env.PASSWORD_BCRYPT_COST || '10', 10)
+  },
+  argon2id: {
+    memoryCost: parseInt(process.env.PASSWORD_ARGON2_MEMORY_KIB || '65536', 10),
+    timeCost: parseInt(process.env.PASSWORD_ARGON2_TIME_COST || '3', 10),
+    parallelism: parseInt(process.env.PASSWORD_ARGON2_PARALLELISM || '4', 10)
+  }
+});
+
+module.exports = {
+  getBasePasswordPolicy,
+  getPasswordHashConfig,
+  getBreachedPasswordsDir
+};
@@ -0,0 +1,73 @@
+// Global token and session lifetimes: [default env, default, maximum env, maximum]
+// Refresh tokens must not outlive the 30 day TTL on token documents
+const LIFETIME_SETTINGS = {
+  accessToken: ['JWT_EXPIRES_IN', '1h', 'JWT_MAX_EXPIRES_IN', '24h'],
+  refreshToken: ['JWT_REFRESH_EXPIRES_IN', '7d', 'JWT_REFRESH_MAX_EXPIRES_IN', '30d'],
+  idleTimeout: ['SESSION_IDLE_TIMEOUT', '7d', 'SESSION_IDLE_TIMEOUT_MAX', '30d'],
+  absoluteTimeout: ['SESSION_ABSOLUTE_TIMEOUT', '30d', 'SESSION_ABSOLUTE_TIMEOUT_MAX', '90d']
+};
+
+// Service.config fields (in seconds) that override each lifetime
+const SERVICE_LIFETIME_FIELDS = {
+  accessToken: 'tokenExpiration',
+  refreshToken: 'refreshTokenExpiration',
+  idleTimeout: 'sessionIdleTimeout',
+  absoluteTimeout: 'sessionAbsoluteTimeout'
+};
+
+// Convert a jsonwebtoken-style lifetime ("1h", "30m", 3600) to seconds
+const parseDuration = (value) => {
+  const match = /^(\d+)\s*([smhd]?)$/.exec(String(value).trim());
+
+  if (!match) {
+    throw new Error(`Unsupported duration: ${value}`);
+  }
+
+  const multipliers = { '': 1, s: 1, m: 60, h: 3600, d: 86400 };
+  return parseInt(match[1], 10) * multipliers[match[2]];
+};
+
+// Maximum lifetimes (in seconds) a service may configure
+const getMaxLifetimes = () => {
+  return Object.keys(LIFETIME_SETTINGS).reduce((lifetimes, name) => {
+    const [, , maxEnv, maxFallback] = LIFETIME_SETTINGS[name];
+    lifetimes[name] = parseDuration(process.env[maxEnv] || maxFallback);
+    return lifetimes;
+  }, {});
+};
+
+// Default lifetimes (in seconds) for services without their own settings
+const getDefaultLifetimes = () => {
+  const maxLifetimes = getMaxLifetimes();
+
+  return Object.keys(LIFETIME_SETTINGS).reduce((lifetimes, name) => {
+    const [env, fallback] = LIFETIME_SETTINGS[name];
+    lifetimes[name] = Math.min(parseDuration(process.env[env] || fallback), maxLifetimes[name]);
+    return lifetimes;
+  }, {});
+};
+
+// Effective lifetimes (in seconds) for a service, or the defaults when no service is given
+const getServiceLifetimes = (service = null) => {
+  const maxLifetimes = getMaxLifetimes();
+  const defaultLifetimes = getDefaultLifetimes();
+  const config = (service && service.config) || {};
+
+  return Object.keys(LIFETIME_SETTINGS).reduce((lifetimes, name) => {
+    const value = config[SERVICE_LIFETIME_FIELDS[name]];
+
+    // Values stored before a maximum was lowered are capped at the current maximum
+    lifetimes[name] = typeof value === 'number' && value > 0
+      ? Math.min(value, maxLifetimes[name])
+      : defaultLifetimes[name];
+    return lifetimes;
+  }, {});
+};
+
+module.exports = {
+  SERVICE_LIFETIME_FIELDS,
+  parseDuration,
+  getMaxLifetimes,
+  getDefaultLifetimes,
+  getServiceLifetimes
+};
@@ -23,6 +23,11 @@ exports.getAuditLogs = async (req, res, next) => {
       filter.serviceId = req.query.serviceId;
     }
     
+    // Filter by impersonating admin
+    if (req.query.actorId) {
+      filter.actorId = req.query.actorId;
+    }
+    
     // Filter by action
     if (req.query.action) {
       filter.action = req.query.action;
@@ -51,6 +56,7 @@ exports.getAuditLogs = async (req, res, next) => {
     // Find audit logs
     const auditLogs = await AuditLog.find(filter)
       .populate('userId', 'username displayName')
+      .populate('actorId', 'username displayName')
       .populate('serviceId', 'name')
       .sort({ timestamp: -1 })
       .skip(skip)
@@ -77,6 +83,7 @@ exports.getAuditLogById = async (req, res, next) => {
   try {
     const auditLog = await AuditLog.findById(req.params.id)
       .populate('userId', 'username displayName email')
+      .populate('actorId', 'username displayName email')
       .populate('serviceId', 'name description');
     
     if (!auditLog) {
@@ -117,6 +124,11 @@ exports.getUserAuditLogs = async (req, res, next) => {
       filter.serviceId = req.query.serviceId;
     }
     
+    // Filter by impersonating admin
+    if (req.query.actorId) {
+      filter.actorId = req.query.actorId;
+    }
+    
     // Filter by action
     if (req.query.action) {
       filter.action = req.query.action;
@@ -139,6 +151,7 @@ exports.getUserAuditLogs = async (req, res, next) => {
     
     // Find audit logs
     const auditLogs = await AuditLog.find(filter)
+      .populate('actorId', 'username displayName')
       .populate('serviceId', 'name')
       .sort({ timestamp: -1 })
       .skip(skip)
@@ -187,6 +200,11 @@ exports.getServiceAuditLogs = async (req, res, next) => {
       filter.userId = req.query.userId;
     }
     
+    // Filter by impersonating admin
+    if (req.query.actorId) {
+      filter.actorId = req.query.actorId;
+    }
+    
     // Filter by action
     if (req.query.action) {
       filter.action = req.query.action;
@@ -210,6 +228,7 @@ exports.getServiceAuditLogs = async (req, res, next) => {
     // Find audit logs
     const auditLogs = await AuditLog.find(filter)
       .populate('userId', 'username displayName')
+      .populate('actorId', 'username displayName')
       .sort({ timestamp: -1 })
       .skip(skip)
       .limit(limit);
@@ -0,0 +1,522 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { User, Token, Service, UserService } = require('../models');
+const { APIError } = require('../utils/error.handler');
+const {
+  checkServiceAccess,
+  issueLoginTokens,
+  consumeRefreshToken,
+  rotateRefreshToken,
+  generateIdToken,
+  generateServiceToken,
+  verifyAccessToken
+} = require('../utils/tokens');
+
+// Send an RFC 6749 error response from the token endpoint
+const sendOAuthError = (res, statusCode, error, description) => {
+  res.set('Cache-Control', 'no-store');
+  return res.status(statusCode).json({
+    error,
+    error_description: description
+  });
+};
+
+// Send an RFC 6749 token response (with an OpenID Connect ID token when requested)
+const sendTokenResponse = (res, accessToken, refreshToken, scope, idToken = null) => {
+  const decoded = jwt.decode(accessToken);
+  
+  res.set('Cache-Control', 'no-store');
+  res.set('Pragma', 'no-cache');
+  return res.status(200).json({
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: decoded.exp - decoded.iat,
+    refresh_token: refreshToken || undefined,
+    id_token: idToken || undefined,
+    scope
+  });
+};
+
+// Check whether a space-delimited scope string includes "openid"
+const isOpenIdRequest = (scope) => {
+  return (scope || '').split(' ').includes('openid');
+};
+
+// Validate an authorization request; returns the client service or throws an APIError
+const validateAuthorizationRequest = async (params) => {
+  const {
+    response_type: responseType,
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    code_challenge: codeChallenge,
+    code_challenge_method: codeChallengeMethod
+  } = params;
+  
+  if (!clientId) {
+    throw new APIError('client_id is required', 400);
+  }
+  
+  // Find the client service by its API key
+  const service = await Service.findOne({ apiKey: clientId });
+  
+  if (!service || !service.active) {
+    throw new APIError('Unknown or inactive client', 400);
+  }
+  
+  // The redirect URI must exactly match the registered callback URL
+  if (!service.callbackUrl) {
+    throw new APIError('Client has no registered callback URL', 400);
+  }
+  
+  if (redirectUri && redirectUri !== service.callbackUrl) {
+    throw new APIError('redirect_uri does not match the registered callback URL', 400);
+  }
+  
+  if (responseType !== 'code') {
+    throw new APIError('Unsupported response_type. Only "code" is supported.', 400);
+  }
+  
+  // PKCE is mandatory
+  if (!codeChallenge || !/^[A-Za-z0-9_-]{43,128}$/.test(codeChallenge)) {
+    throw new APIError('A valid code_challenge is required (PKCE)', 400);
+  }
+  
+  if (codeChallengeMethod !== 'S256') {
+    throw new APIError('Unsupported code_challenge_method. Only "S256" is supported.', 400);
+  }
+  
+  return service;
+};
+
+// Build the client redirect URL with query parameters
+const buildRedirectUrl = (redirectUri, params) => {
+  const url = new URL(redirectUri);
+  
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      url.searchParams.set(key, value);
+    }
+  });
+  
+  return url.toString();
+};
+
+// Verify a PKCE code verifier against the stored S256 challenge
+const verifyCodeVerifier = (codeVerifier, codeChallenge) => {
+  if (!codeVerifier || !/^[A-Za-z0-9._~-]{43,128}$/.test(codeVerifier)) {
+    return false;
+  }
+  
+  const expected = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  
+  return expected.length === codeChallenge.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(codeChallenge));
+};
+
+// Get client credentials from HTTP Basic auth or the request body
+const getClientCredentials = (req) => {
+  const authHeader = req.headers.authorization;
+  
+  if (authHeader && authHeader.startsWith('Basic ')) {
+    const decoded = Buffer.from(authHeader.split(' ')[1], 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    
+    if (separator !== -1) {
+      return {
+        clientId: decodeURIComponent(decoded.slice(0, separator)),
+        clientSecret: decodeURIComponent(decoded.slice(separator + 1))
+      };
+    }
+  }
+  
+  return {
+    clientId: req.body.client_id,
+    clientSecret: req.body.client_secret
+  };
+};
+
+// Authenticate the client; confidential clients send a secret, public clients rely on PKCE
+const authenticateClient = async (clientId, clientSecret) => {
+  if (!clientId) {
+    return null;
+  }
+  
+  const service = await Service.findOne({ apiKey: clientId }).select('+apiSecret');
+  
+  if (!service || !service.active) {
+    return null;
+  }
+  
+  if (clientSecret !== undefined && !service.validateApiCredentials(clientId, clientSecret)) {
+    return null;
+  }
+  
+  return service;
+};
+
+// Describe a user token to the introspecting service; returns null if it must be reported inactive
+const describeUserToken = async (service, user, tokenServiceId) => {
+  // Tokens issued for another service are not disclosed
+  if (tokenServiceId && String(tokenServiceId) !== String(service._id)) {
+    return null;
+  }
+  
+  // The user must have active access to the introspecting service
+  const userService = await UserService.findOne({
+    userId: user._id,
+    serviceId: service._id
+  }).populate('roles');
+  
+  if (!userService || userService.status !== 'active') {
+    return null;
+  }
+  
+  const permissions = userService.roles.reduce((all, role) => all.concat(role.permissions || []), []);
+  
+  return {
+    sub: user._id.toString(),
+    username: user.username,
+    client_id: service.apiKey,
+    serviceId: service._id,
+    roles: userService.roles.map(role => role.name),
+    permissions: [...new Set(permissions)]
+  };
+};
+
+// Introspect a JWT access token; returns the response fields or null if inactive
+const introspectAccessToken = async (service, token) => {
+  let verified;
+  try {
+    // Same checks as the authenticate middleware (token, user, service and access),
+    // but looking a token up is not a use of it
+    verified = await verifyAccessToken(token, { recordUse: false });
+  } catch (error) {
+    if (error instanceof APIError) {
+      return null;
+    }
+    throw error;
+  }
+  
+  const { decoded, user, personalAccessToken } = verified;
+  const description = await describeUserToken(service, user, decoded.serviceId);
+  
+  if (!description) {
+    return null;
+  }
+  
+  // Personal access tokens only carry the permissions they were scoped to
+  if (personalAccessToken) {
+    return {
+      ...description,
+      permissions: description.permissions.filter(permission => personalAccessToken.scopes.includes(permission)),
+      token_type: 'personal_access_token',
+      scope: decoded.scope || undefined,
+      exp: decoded.exp,
+      iat: decoded.iat
+    };
+  }
+  
+  // Report the scope granted to the OAuth session, if any
+  const session = decoded.sid ? await Token.findActiveSession(user._id, decoded.sid) : null;
+  
+  return {
+    ...description,
+    token_type: 'access_token',
+    scope: session && session.oauth ? session.oauth.scope || undefined : undefined,
+    exp: decoded.exp,
+    iat: decoded.iat,
+    jti: decoded.jti,
+    sid: decoded.sid || undefined,
+    act: decoded.act ? { sub: decoded.act.sub } : undefined
+  };
+};
+
+// Introspect an opaque refresh token; returns the response fields or null if inactive
+const introspectRefreshToken = async (service, token) => {
+  const tokenDoc = await Token.findOne({
+    token,
+    type: 'refresh'
+  });
+  
+  if (!tokenDoc || tokenDoc.rotatedAt || tokenDoc.isExpired()) {
+    return null;
+  }
+  
+  const user = await User.findById(tokenDoc.userId);
+  
+  if (!user || user.status !== 'active') {
+    return null;
+  }
+  
+  const description = await describeUserToken(service, user, tokenDoc.metadata.serviceId);
+  
+  if (!description) {
+    return null;
+  }
+  
+  return {
+    ...description,
+    token_type: 'refresh_token',
+    scope: tokenDoc.oauth ? tokenDoc.oauth.scope || undefined : undefined,
+    exp: Math.floor(tokenDoc.expiresAt.getTime() / 1000),
+    iat: Math.floor(tokenDoc.createdAt.getTime() / 1000),
+    sid: tokenDoc.getSessionId()
+  };
+};
+
+// @desc    Validate an authorization request and describe the client (for the consent screen)
+// @route   GET /api/oauth/authorize
+// @access  Public
+exports.getAuthorization = async (req, res, next) => {
+  try {
+    const service = await validateAuthorizationRequest(req.query);
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      client: {
+        clientId: service.apiKey,
+        name: service.name,
+        description: service.description
+      },
+      redirectUri: service.callbackUrl,
+      scope: req.query.scope || '',
+      state: req.query.state || null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Approve or deny an authorization request and issue an authorization code
+// @route   POST /api/oauth/authorize
+// @access  Private
+exports.authorize = async (req, res, next) => {
+  try {
+    const service = await validateAuthorizationRequest(req.body);
+    const { state, scope, nonce, approve } = req.body;
+    
+    // The user denied the request
+    if (approve === false || approve === 'false') {
+      return res.status(200).json({
+        success: true,
+        redirectUrl: buildRedirectUrl(service.callbackUrl, {
+          error: 'access_denied',
+          error_description: 'The user denied the request',
+          state
+        })
+      });
+    }
+    
+    // Reuse the same access checks as service-scoped login
+    const accessError = await checkServiceAccess(req.user._id, service._id);
+    
+    if (accessError) {
+      return next(accessError);
+    }
+    
+    // Issue authorization code bound to the PKCE challenge and redirect URI
+    const authorizationCode = await Token.generateAuthorizationCode(
+      req.user._id,
+      service._id,
+      {
+        redirectUri: service.callbackUrl,
+        codeChallenge: req.body.code_challenge,
+        codeChallengeMethod: req.body.code_challenge_method,
+        scope: scope || '',
+        nonce: nonce || null
+      },
+      req.headers['x-forwarded-for'] || req.connection.remoteAddress,
+      req.headers['user-agent'] || ''
+    );
+    
+    req.service = service;
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      redirectUrl: buildRedirectUrl(service.callbackUrl, {
+        code: authorizationCode.token,
+        state
+      })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Exchange an authorization code, refresh token or client credentials for tokens
+// @route   POST /api/oauth/token
+// @access  Public (client credentials or PKCE)
+exports.token = async (req, res, next) => {
+  try {
+    const { grant_type: grantType } = req.body;
+    const { clientId, clientSecret } = getClientCredentials(req);
+    
+    // Authenticate client
+    const service = await authenticateClient(clientId, clientSecret);
+    
+    if (!service) {
+      return sendOAuthError(res, 401, 'invalid_client', 'Client authentication failed');
+    }
+    
+    req.service = service;
+    
+    if (grantType === 'authorization_code') {
+      const { code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+      
+      if (!code) {
+        return sendOAuthError(res, 400, 'invalid_request', 'code is required');
+      }
+      
+      // Authorization codes are single-use
+      const codeDoc = await Token.findOneAndDelete({
+        token: code,
+        type: 'authorization_code'
+      });
+      
+      if (!codeDoc || codeDoc.isExpired() || String(codeDoc.metadata.serviceId) !== String(service._id)) {
+        return sendOAuthError(res, 400, 'invalid_grant', 'Invalid or expired authorization code');
+      }
+      
+      if (redirectUri && redirectUri !== codeDoc.oauth.redirectUri) {
+        return sendOAuthError(res, 400, 'invalid_grant', 'redirect_uri does not match the authorization request');
+      }
+      
+      if (!verifyCodeVerifier(codeVerifier, codeDoc.oauth.codeChallenge)) {
+        return sendOAuthError(res, 400, 'invalid_grant', 'Invalid code_verifier');
+      }
+      
+      // Check user and service access again at exchange time
+      const user = await User.findById(codeDoc.userId);
+      
+      if (!user || user.status !== 'active') {
+        return sendOAuthError(res, 400, 'invalid_grant', 'User account is not active');
+      }
+      
+      const accessError = await checkServiceAccess(user._id, service._id);
+      
+      if (accessError) {
+        return sendOAuthError(res, 400, 'invalid_grant', accessError.message);
+      }
+      
+      req.user = user;
+      
+      const result = await issueLoginTokens(req, user, service._id);
+      
+      // Remember the granted scope on the session's refresh token
+      await Token.updateOne(
+        { token: result.refreshToken, type: 'refresh' },
+        { $set: { 'oauth.scope': codeDoc.oauth.scope } }
+      );
+      
+      const idToken = isOpenIdRequest(codeDoc.oauth.scope)
+        ? await generateIdToken(user, service.apiKey, {
+          scope: codeDoc.oauth.scope,
+          nonce: codeDoc.oauth.nonce,
+          accessToken: result.token
+        })
+        : null;
+      
+      return sendTokenResponse(res, result.token, result.refreshToken, codeDoc.oauth.scope, idToken);
+    }
+    
+    if (grantType === 'refresh_token') {
+      const { refresh_token: refreshToken } = req.body;
+      
+      if (!refreshToken) {
+        return sendOAuthError(res, 400, 'invalid_request', 'refresh_token is required');
+      }
+      
+      // Validate and claim the refresh token (must belong to this client)
+      let consumed;
+      try {
+        consumed = await consumeRefreshToken(req, refreshToken, service._id);
+      } catch (error) {
+        if (error instanceof APIError) {
+          return sendOAuthError(res, 400, 'invalid_grant', error.message);
+        }
+        throw error;
+      }
+      
+      const { tokenDoc, user } = consumed;
+      
+      const accessError = await checkServiceAccess(user._id, service._id);
+      
+      if (accessError) {
+        return sendOAuthError(res, 400, 'invalid_grant', accessError.message);
+      }
+      
+      req.user = user;
+      
+      const result = await rotateRefreshToken(req, user, tokenDoc, service._id);
+      const scope = result.refreshToken.oauth.scope;
+      
+      const idToken = isOpenIdRequest(scope)
+        ? await generateIdToken(user, service.apiKey, { scope, accessToken: result.token })
+        : null;
+      
+      return sendTokenResponse(res, result.token, result.refreshToken.token, scope, idToken);
+    }
+    
+    if (grantType === 'client_credentials') {
+      // Only confidential clients may act as themselves
+      if (clientSecret === undefined) {
+        return sendOAuthError(res, 401, 'invalid_client', 'The client_credentials grant requires a client secret');
+      }
+      
+      const accessToken = await generateServiceToken(service);
+      
+      return sendTokenResponse(res, accessToken, null, '');
+    }
+    
+    return sendOAuthError(res, 400, 'unsupported_grant_type', 'Supported grant types: authorization_code, refresh_token, client_credentials');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Introspect an access or refresh token (RFC 7662)
+// @route   POST /api/oauth/introspect
+// @access  Private (Service credentials)
+exports.introspect = async (req, res, next) => {
+  try {
+    const { token, token_type_hint: tokenTypeHint } = req.body;
+    const { clientId, clientSecret } = getClientCredentials(req);
+    
+    // Only confidential clients may introspect tokens
+    const service = clientSecret !== undefined ? await authenticateClient(clientId, clientSecret) : null;
+    
+    if (!service) {
+      return sendOAuthError(res, 401, 'invalid_client', 'Client authentication failed');
+    }
+    
+    req.service = service;
+    
+    if (!token || typeof token !== 'string') {
+      return sendOAuthError(res, 400, 'invalid_request', 'token is required');
+    }
+    
+    // Try the hinted token type first; access tokens are JWTs, refresh tokens are opaque
+    const looksLikeJwt = token.split('.').length === 3;
+    const checkRefreshFirst = tokenTypeHint === 'refresh_token' || (!tokenTypeHint && !looksLikeJwt);
+    const checks = checkRefreshFirst
+      ? [introspectRefreshToken, introspectAccessToken]
+      : [introspectAccessToken, introspectRefreshToken];
+    
+    let result = null;
+    for (const check of checks) {
+      result = await check(service, token);
+      
+      if (result) {
+        break;
+      }
+    }
+    
+    // Response
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json(result ? { active: true, ...result } : { active: false });
+  } catch (error) {
+    next(error);
+  }
+};
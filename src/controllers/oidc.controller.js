@@ -0,0 +1,87 @@
+const { User, Token } = require('../models');
+const { APIError } = require('../utils/error.handler');
+const { buildUserClaims } = require('../utils/tokens');
+const { getIssuer } = require('../config/oidc.config');
+const { getSigningAlgorithm, getPublicJwks } = require('../utils/signingKeys');
+
+// Scopes and claims supported by this provider
+const SUPPORTED_SCOPES = ['openid', 'profile', 'email'];
+const SUPPORTED_CLAIMS = [
+  'sub', 'iss', 'aud', 'exp', 'iat', 'auth_time', 'nonce', 'at_hash',
+  'preferred_username', 'name', 'picture', 'locale', 'updated_at',
+  'email', 'email_verified'
+];
+
+// @desc    OpenID Connect discovery document
+// @route   GET /api/.well-known/openid-configuration
+// @access  Public
+exports.getConfiguration = async (req, res, next) => {
+  try {
+    const issuer = getIssuer();
+    
+    // Response
+    res.status(200).json({
+      issuer,
+      // A login/consent UI may front the API's authorize endpoint
+      authorization_endpoint: process.env.OIDC_AUTHORIZATION_ENDPOINT || `${issuer}/oauth/authorize`,
+      token_endpoint: `${issuer}/oauth/token`,
+      introspection_endpoint: `${issuer}/oauth/introspect`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks.json`,
+      scopes_supported: SUPPORTED_SCOPES,
+      response_types_supported: ['code'],
+      response_modes_supported: ['query'],
+      grant_types_supported: ['authorization_code', 'refresh_token', 'client_credentials'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: [getSigningAlgorithm()],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+      code_challenge_methods_supported: ['S256'],
+      claims_supported: SUPPORTED_CLAIMS
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    JSON Web Key Set used to verify access and ID tokens
+// @route   GET /api/jwks.json
+// @access  Public
+exports.getJwks = async (req, res, next) => {
+  try {
+    const jwks = await getPublicJwks();
+    
+    // Response (short cache so rotated keys are picked up quickly)
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(200).json(jwks);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get standard claims for the authenticated user
+// @route   GET /api/userinfo
+// @access  Private
+exports.getUserInfo = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+    
+    if (!user) {
+      return next(new APIError('User not found', 404));
+    }
+    
+    // Limit claims to the scope granted to the OAuth session, if any
+    let scopes = SUPPORTED_SCOPES;
+    if (req.sessionId) {
+      const session = await Token.findActiveSession(user._id, req.sessionId);
+      
+      if (session && session.oauth && session.oauth.scope) {
+        scopes = session.oauth.scope.split(' ');
+      }
+    }
+    
+    // Response
+    res.status(200).json(buildUserClaims(user, scopes));
+  } catch (error) {
+    next(error);
+  }
+};
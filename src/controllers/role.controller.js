@@ -240,6 +240,8 @@ exports.getPermissions = async (req, res, next) => {
       'user:read',
       'user:write',
       'user:delete',
+      'user:impersonate',
+      'user:recover',
       
       // Role permissions
       'role:read',
@@ -1,5 +1,9 @@
 const { Service, Role, UserService } = require('../models');
 const { APIError } = require('../utils/error.handler');
+const { TEMPLATES } = require('../utils/mailTemplates');
+
+// Language codes accepted for email templates (e.g. "en", "th", "pt-br")
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/;
 
 // @desc    Create a new service
 // @route   POST /api/services
@@ -15,26 +19,35 @@ exports.createService = async (req, res, next) => {
       return next(new APIError(`Service with name '${name}' already exists`, 400));
     }
     
+    // Only a hash of the API secret and an encrypted signing secret are stored,
+    // so this is the only time they can be returned
+    const apiSecret = Service.generateApiSecret();
+    const signingSecret = Service.generateSigningSecret();
+    
     // Create service
     const service = new Service({
       name,
       description: description || '',
+      apiSecret,
       callbackUrl: callbackUrl || null,
       active: active !== undefined ? active : true,
       config: config || {}
     });
     
+    service.setSigningSecret(signingSecret);
     await service.save();
     
-    // Response (without apiSecret)
+    // Response (including the secrets this once)
     res.status(201).json({
       success: true,
-      message: 'Service created successfully',
+      message: 'Service created successfully. Copy the API secret and signing secret now, they will not be shown again.',
       service: {
         _id: service._id,
         name: service.name,
         description: service.description,
         apiKey: service.apiKey,
+        apiSecret,
+        signingSecret,
         callbackUrl: service.callbackUrl,
         active: service.active,
         config: service.config,
@@ -235,21 +248,19 @@ exports.regenerateCredentials = async (req, res, next) => {
       return next(new APIError('Service not found', 404));
     }
     
-    // Regenerate API key and secret
-    await service.regenerateCredentials();
-    
-    // Get updated service with new credentials
-    const updatedService = await Service.findById(req.params.id).select('+apiSecret');
+    // Regenerate API key, API secret and signing secret (neither secret is stored in plain text)
+    const { apiSecret, signingSecret } = await service.regenerateCredentials();
     
-    // Response (including apiSecret this time)
+    // Response (including the secrets this once)
     res.status(200).json({
       success: true,
-      message: 'API credentials regenerated successfully',
+      message: 'API credentials regenerated successfully. Copy the API secret and signing secret now, they will not be shown again.',
       service: {
-        _id: updatedService._id,
-        name: updatedService.name,
-        apiKey: updatedService.apiKey,
-        apiSecret: updatedService.apiSecret, // Include API secret only when regenerating
+        _id: service._id,
+        name: service.name,
+        apiKey: service.apiKey,
+        apiSecret,
+        signingSecret
       }
     });
   } catch (error) {
@@ -341,3 +352,106 @@ exports.getServiceUsers = async (req, res, next) => {
     next(error);
   }
 };
+
+// @desc    Get a service's email templates
+// @route   GET /api/services/:id/email-templates
+// @access  Private (Admin only)
+exports.getEmailTemplates = async (req, res, next) => {
+  try {
+    // Find service
+    const service = await Service.findById(req.params.id);
+    
+    if (!service) {
+      return next(new APIError('Service not found', 404));
+    }
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      count: service.emailTemplates.length,
+      templates: service.emailTemplates
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create or replace a service's email template for one language
+// @route   PUT /api/services/:id/email-templates/:template/:language
+// @access  Private (Admin only)
+exports.setEmailTemplate = async (req, res, next) => {
+  try {
+    const { subject, text, html } = req.body;
+    const template = req.params.template;
+    const language = req.params.language.toLowerCase();
+    
+    if (!TEMPLATES[template]) {
+      return next(new APIError(`Unknown email template. Valid templates: ${Object.keys(TEMPLATES).join(', ')}`, 400));
+    }
+    
+    if (!LANGUAGE_PATTERN.test(language)) {
+      return next(new APIError('Language must be a language code such as "en" or "th-TH"', 400));
+    }
+    
+    // Find service
+    const service = await Service.findById(req.params.id);
+    
+    if (!service) {
+      return next(new APIError('Service not found', 404));
+    }
+    
+    // Replace an existing template for this language, or add a new one
+    const existing = service.emailTemplates.find(t => t.template === template && t.language === language);
+    
+    if (existing) {
+      existing.set({ subject, text, html });
+    } else {
+      service.emailTemplates.push({ template, language, subject, text, html });
+    }
+    
+    await service.save();
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      message: 'Email template saved successfully',
+      template: service.emailTemplates.find(t => t.template === template && t.language === language)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a service's email template for one language (the default is used again)
+// @route   DELETE /api/services/:id/email-templates/:template/:language
+// @access  Private (Admin only)
+exports.deleteEmailTemplate = async (req, res, next) => {
+  try {
+    const { template } = req.params;
+    const language = req.params.language.toLowerCase();
+    
+    // Find service
+    const service = await Service.findById(req.params.id);
+    
+    if (!service) {
+      return next(new APIError('Service not found', 404));
+    }
+    
+    const remaining = service.emailTemplates.filter(t => !(t.template === template && t.language === language));
+    
+    if (remaining.length === service.emailTemplates.length) {
+      return next(new APIError('Email template not found', 404));
+    }
+    
+    service.emailTemplates = remaining;
+    await service.save();
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      message: 'Email template deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
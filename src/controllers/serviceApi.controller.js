@@ -0,0 +1,219 @@
+const mongoose = require('mongoose');
+const { UserService, User, Role } = require('../models');
+const { APIError } = require('../utils/error.handler');
+
+// Format a user's membership in the calling service
+const formatServiceUser = (userService) => ({
+  _id: userService.userId._id,
+  username: userService.userId.username,
+  email: userService.userId.email,
+  displayName: userService.userId.displayName,
+  profileImage: userService.userId.profileImage,
+  status: userService.userId.status,
+  serviceStatus: userService.status,
+  roles: userService.roles,
+  customData: userService.customData,
+  joinedAt: userService.createdAt
+});
+
+// Find a user's membership in the calling service; returns null if the user is not a member
+const findServiceMembership = async (req, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return null;
+  }
+  
+  return UserService.findOne({
+    userId,
+    serviceId: req.service._id
+  });
+};
+
+// @desc    Get users assigned to the calling service (with pagination and filtering)
+// @route   GET /api/service-api/users
+// @access  Private (Service)
+exports.getServiceUsers = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    const skip = (page - 1) * limit;
+    
+    // Build filter (always scoped to the calling service)
+    const filter = { serviceId: req.service._id };
+    
+    // Filter by membership status
+    if (req.query.status) {
+      filter.status = String(req.query.status);
+    }
+    
+    // Filter by role
+    if (req.query.roleId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.roleId)) {
+        return next(new APIError('Invalid role ID', 400));
+      }
+      
+      filter.roles = req.query.roleId;
+    }
+    
+    // Look up by exact username or email
+    if (req.query.username || req.query.email) {
+      const userFilter = {};
+      
+      if (req.query.username) {
+        userFilter.username = String(req.query.username);
+      }
+      
+      if (req.query.email) {
+        userFilter.email = String(req.query.email).toLowerCase();
+      }
+      
+      filter.userId = { $in: await User.find(userFilter).distinct('_id') };
+    }
+    
+    // Count total
+    const total = await UserService.countDocuments(filter);
+    
+    // Find user-service relationships
+    const userServices = await UserService.find(filter)
+      .populate('userId', 'username email displayName profileImage status')
+      .populate('roles', 'name description permissions')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      count: userServices.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      users: userServices.map(formatServiceUser)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a user assigned to the calling service
+// @route   GET /api/service-api/users/:userId
+// @access  Private (Service)
+exports.getServiceUser = async (req, res, next) => {
+  try {
+    const userService = await findServiceMembership(req, req.params.userId);
+    
+    if (!userService) {
+      return next(new APIError('User is not assigned to this service', 404));
+    }
+    
+    await userService.populate([
+      { path: 'userId', select: 'username email displayName profileImage status' },
+      { path: 'roles', select: 'name description permissions' }
+    ]);
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      user: formatServiceUser(userService)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get roles defined by the calling service
+// @route   GET /api/service-api/roles
+// @access  Private (Service)
+exports.getServiceRoles = async (req, res, next) => {
+  try {
+    const roles = await Role.find({ serviceId: req.service._id }).sort({ name: 1 });
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      count: roles.length,
+      roles
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Replace a user's roles in the calling service
+// @route   PUT /api/service-api/users/:userId/roles
+// @access  Private (Service)
+exports.updateServiceUserRoles = async (req, res, next) => {
+  try {
+    const { roles } = req.body;
+    
+    const userService = await findServiceMembership(req, req.params.userId);
+    
+    if (!userService) {
+      return next(new APIError('User is not assigned to this service', 404));
+    }
+    
+    // Services may only assign their own roles (never global roles)
+    const validRoles = await Role.find({
+      _id: { $in: roles },
+      serviceId: req.service._id
+    });
+    
+    if (validRoles.length !== roles.length) {
+      return next(new APIError('One or more roles are invalid or do not belong to this service', 400));
+    }
+    
+    // Keep roles the service does not own (e.g. assigned by an administrator)
+    const ownRoleIds = await Role.find({ serviceId: req.service._id }).distinct('_id');
+    const otherRoles = userService.roles.filter(roleId =>
+      !ownRoleIds.some(ownRoleId => ownRoleId.equals(roleId))
+    );
+    
+    userService.roles = [...otherRoles, ...validRoles.map(role => role._id)];
+    await userService.save();
+    
+    await userService.populate([
+      { path: 'userId', select: 'username email displayName profileImage status' },
+      { path: 'roles', select: 'name description permissions' }
+    ]);
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      message: 'User roles updated successfully',
+      user: formatServiceUser(userService)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add or update custom data for a user in the calling service
+// @route   PUT /api/service-api/users/:userId/custom-data
+// @access  Private (Service)
+exports.updateServiceUserCustomData = async (req, res, next) => {
+  try {
+    const { customData } = req.body;
+    
+    const userService = await findServiceMembership(req, req.params.userId);
+    
+    if (!userService) {
+      return next(new APIError('User is not assigned to this service', 404));
+    }
+    
+    // Update custom data
+    userService.customData = {
+      ...userService.customData,
+      ...customData
+    };
+    
+    await userService.save();
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      message: 'Custom data updated successfully',
+      customData: userService.customData
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,19 +1,262 @@
 const jwt = require('jsonwebtoken');
-const { User, Token, Role, UserService } = require('../models');
+const mongoose = require('mongoose');
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { isoBase64URL, decodeClientDataJSON } = require('@simplewebauthn/server/helpers');
+const { User, Token, Role, Service, UserService, AuditLog, Passkey, RevokedToken, MailMessage, PersonalAccessToken } = require('../models');
 const { APIError } = require('../utils/error.handler');
+const {
+  generateImpersonationToken,
+  resolveUserAccess,
+  checkServiceAccess,
+  issueLoginTokens,
+  rotateRefreshToken,
+  exchangeSessionTokens
+} = require('../utils/tokens');
+const { encrypt, decrypt } = require('../utils/encryption');
+const totp = require('../utils/totp');
+const { queueUserMail, queueTokenMail } = require('../utils/mailer');
+const {
+  getPasswordPolicy,
+  getUserPasswordPolicy,
+  validatePassword,
+  validateNewPassword,
+  isPasswordExpired
+} = require('../utils/passwordPolicy');
+const { getIssuer } = require('../config/oidc.config');
 const logger = require('../utils/logger');
 
-// Generate JWT token
-const generateToken = (user, serviceId = null) => {
+// Generate short-lived MFA challenge token (exchanged for a JWT after TOTP verification)
+// The method records how the first factor was given, e.g. 'password' or 'magic_link'
+const generateMfaToken = (user, serviceId = null, method = 'password') => {
   return jwt.sign(
-    { 
+    {
       id: user._id,
-      username: user.username,
-      serviceId: serviceId
+      serviceId: serviceId,
+      method,
+      purpose: 'mfa'
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.MFA_TOKEN_EXPIRES_IN || '5m' }
+  );
+};
+
+// Generate short-lived token that only permits changing an expired password
+const generatePasswordChangeToken = (user) => {
+  return jwt.sign(
+    {
+      id: user._id,
+      purpose: 'password_change'
     },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '1h' }
+    { expiresIn: process.env.PASSWORD_CHANGE_TOKEN_EXPIRES_IN || '10m' }
+  );
+};
+
+// Response for a login whose password is older than the maximum age (every login method)
+const sendPasswordChangeRequired = (res, user) => {
+  return res.status(200).json({
+    success: true,
+    message: 'Your password has expired. Please change it to continue.',
+    passwordChangeRequired: true,
+    passwordChangeToken: generatePasswordChangeToken(user)
+  });
+};
+
+// Build the link sent by email for a token: the configured page gets a ?token= parameter
+const buildTokenLink = (pageUrl, token) => {
+  const url = new URL(pageUrl);
+  url.searchParams.set('token', token);
+  return url.toString();
+};
+
+// Link for email verification (defaults to the API's own verification endpoint)
+const buildVerificationLink = (token) => {
+  return process.env.EMAIL_VERIFICATION_URL
+    ? buildTokenLink(process.env.EMAIL_VERIFICATION_URL, token)
+    : `${getIssuer()}/users/verify-email/${token}`;
+};
+
+// Link for confirming an email change (defaults to the API's own confirmation endpoint)
+const buildEmailChangeLink = (token) => {
+  return process.env.EMAIL_CHANGE_URL
+    ? buildTokenLink(process.env.EMAIL_CHANGE_URL, token)
+    : `${getIssuer()}/users/email-change/confirm/${token}`;
+};
+
+// Send a confirmation link to a new email address and a notice to the current one
+// The address only changes once the link is opened; returns an APIError if the address can't be used
+const startEmailChange = async (req, user, newEmail) => {
+  const email = newEmail.trim().toLowerCase();
+  
+  if (email === user.email) {
+    return new APIError('New email must be different from the current email', 400);
+  }
+  
+  const existingUser = await User.findOne({ email });
+  
+  if (existingUser) {
+    return new APIError('Email already in use', 400);
+  }
+  
+  const changeToken = await Token.generateEmailChangeToken(
+    user._id,
+    email,
+    req.service ? req.service._id : null,
+    req.headers['x-forwarded-for'] || req.connection.remoteAddress,
+    req.headers['user-agent'] || ''
   );
+  
+  await queueTokenMail('email_change', user, changeToken, buildEmailChangeLink(changeToken.token), {
+    to: email,
+    variables: { newEmail: email }
+  });
+  
+  await queueUserMail('email_change_notice', user, {
+    serviceId: changeToken.metadata.serviceId,
+    variables: { newEmail: email }
+  });
+  
+  return null;
+};
+
+// Seconds until another email of a template may be sent to a user (0: it can be sent now).
+// Allows one email per interval and at most maxPerHour emails in any hour.
+const getMailRetryDelay = async (userId, template, intervalSeconds, maxPerHour) => {
+  const now = Date.now();
+  
+  const recentMails = await MailMessage.find({
+    userId,
+    template,
+    createdAt: { $gt: new Date(now - 60 * 60 * 1000) }
+  })
+    .select('createdAt')
+    .sort({ createdAt: -1 });
+  
+  let retryAt = null;
+  
+  if (recentMails.length >= maxPerHour) {
+    retryAt = recentMails[maxPerHour - 1].createdAt.getTime() + 60 * 60 * 1000;
+  } else if (recentMails.length > 0 && now - recentMails[0].createdAt.getTime() < intervalSeconds * 1000) {
+    retryAt = recentMails[0].createdAt.getTime() + intervalSeconds * 1000;
+  }
+  
+  return retryAt ? Math.ceil((retryAt - now) / 1000) : 0;
+};
+
+// Active service a public request was made for (null when not found)
+const findRequestedService = async (serviceId) => {
+  if (!serviceId || !mongoose.Types.ObjectId.isValid(serviceId)) {
+    return null;
+  }
+  
+  return Service.findOne({ _id: serviceId, active: true });
+};
+
+// Permissions that allow taking over other accounts; their holders cannot be targeted with them
+const ACCOUNT_TAKEOVER_PERMISSIONS = ['user:impersonate', 'user:recover'];
+
+// Whether a user is an admin or may impersonate or recover other accounts
+const isPrivilegedUser = async (userId) => {
+  const roles = await Role.find({
+    _id: { $in: await UserService.distinct('roles', { userId }) }
+  });
+  
+  return roles.some(role => role.name === 'admin' ||
+    (role.permissions || []).some(permission => ACCOUNT_TAKEOVER_PERMISSIONS.includes(permission)));
+};
+
+// WebAuthn relying party configuration
+const getWebAuthnConfig = () => ({
+  rpName: process.env.WEBAUTHN_RP_NAME || 'TOC',
+  rpID: process.env.WEBAUTHN_RP_ID || 'localhost',
+  origins: (process.env.WEBAUTHN_ORIGIN || 'http://localhost:3000').split(',').map(origin => origin.trim())
+});
+
+// Check lockout and backoff before accepting a login attempt; returns an APIError or null
+const checkLoginThrottle = (user) => {
+  if (user.isLocked()) {
+    return new APIError(`Account is temporarily locked due to too many failed login attempts. Please try again in ${user.getLoginRetryDelay()} seconds.`, 423);
+  }
+  
+  const retryDelay = user.getLoginRetryDelay();
+  
+  if (retryDelay > 0) {
+    return new APIError(`Too many failed login attempts. Please try again in ${retryDelay} seconds.`, 429);
+  }
+  
+  return null;
+};
+
+// Record a failed login attempt (password, MFA code or recovery code) and audit it.
+// The counter is updated atomically; returns the lockout error if the account is now locked, or null.
+const recordFailedLogin = async (req, user, reason) => {
+  const { user: updated, locked } = await User.registerFailedLogin(user._id);
+  
+  if (!updated) {
+    return null;
+  }
+  
+  const options = {
+    userId: user._id,
+    ipAddress: req.headers['x-forwarded-for'] || req.connection.remoteAddress,
+    userAgent: req.headers['user-agent'] || ''
+  };
+  
+  await AuditLog.logAction('user:login_failed', {
+    username: user.username,
+    reason,
+    failedLoginAttempts: updated.failedLoginAttempts
+  }, options);
+  
+  if (locked) {
+    logger.warn(`User ${user.username} locked after ${updated.failedLoginAttempts} failed login attempts`);
+    
+    await AuditLog.logAction('user:locked', {
+      username: user.username,
+      failedLoginAttempts: updated.failedLoginAttempts,
+      lockUntil: updated.lockUntil
+    }, options);
+  }
+  
+  // Decide from the updated counters, which include concurrent failures
+  return updated.isLocked() ? checkLoginThrottle(updated) : null;
+};
+
+// Format a refresh token document as a session for API responses
+const formatSession = (tokenDoc, currentSessionId = null) => {
+  const sessionId = tokenDoc.getSessionId();
+  
+  return {
+    id: sessionId,
+    current: !!currentSessionId && sessionId === currentSessionId,
+    service: tokenDoc.metadata.serviceId,
+    deviceInfo: tokenDoc.metadata.deviceInfo,
+    ipAddress: tokenDoc.metadata.ipAddress,
+    createdAt: tokenDoc.sessionStartedAt || tokenDoc.createdAt,
+    lastUsedAt: tokenDoc.createdAt, // A new token is issued on every refresh
+    expiresAt: tokenDoc.expiresAt
+  };
+};
+
+// Verify a TOTP code against an encrypted secret, rejecting replayed codes
+const verifyMfaCode = (user, encryptedSecret, code) => {
+  const step = totp.verifyTOTP(decrypt(encryptedSecret), code);
+  
+  if (step === null) {
+    return false;
+  }
+  
+  if (user.mfa.lastUsedStep !== null && user.mfa.lastUsedStep !== undefined && step <= user.mfa.lastUsedStep) {
+    return false;
+  }
+  
+  user.mfa.lastUsedStep = step;
+  return true;
 };
 
 // @desc    Register a new user
@@ -21,7 +264,24 @@ const generateToken = (user, serviceId = null) => {
 // @access  Public
 exports.registerUser = async (req, res, next) => {
   try {
-    const { username, email, password, displayName, profileImage, metadata } = req.body;
+    const { username, email, password, displayName, profileImage, metadata, serviceId } = req.body;
+    
+    // Service the user registers through: its password policy and email templates apply
+    const registeringService = await findRequestedService(serviceId);
+    
+    if (serviceId && !registeringService) {
+      return next(new APIError('Service not found or not active', 400));
+    }
+    
+    const passwordError = await validatePassword(
+      password,
+      getPasswordPolicy(registeringService ? [registeringService] : []),
+      { username, email, displayName }
+    );
+    
+    if (passwordError) {
+      return next(passwordError);
+    }
     
     // Check if username or email already exists
     const existingUser = await User.findOne({
@@ -62,14 +322,16 @@ exports.registerUser = async (req, res, next) => {
       });
     }
     
-    // Generate verification token
-    await Token.generateVerificationToken(
+    // Generate verification token and email it to the user
+    const verificationToken = await Token.generateVerificationToken(
       user._id,
-      req.service ? req.service._id : null,
+      registeringService ? registeringService._id : null,
       req.headers['x-forwarded-for'] || req.connection.remoteAddress,
       req.headers['user-agent'] || ''
     );
     
+    await queueTokenMail('email_verification', user, verificationToken, buildVerificationLink(verificationToken.token));
+    
     // Response without password
     res.status(201).json({
       success: true,
@@ -88,6 +350,29 @@ exports.registerUser = async (req, res, next) => {
   }
 };
 
+// @desc    Get the password policy for registering (optionally through a service)
+// @route   GET /api/users/password-policy
+// @access  Public
+exports.getRegistrationPasswordPolicy = async (req, res, next) => {
+  try {
+    const { serviceId } = req.query;
+    
+    const service = await findRequestedService(serviceId);
+    
+    if (serviceId && !service) {
+      return next(new APIError('Service not found or not active', 400));
+    }
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      policy: getPasswordPolicy(service ? [service] : [])
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Login user
 // @route   POST /api/users/login
 // @access  Public
@@ -102,11 +387,19 @@ exports.loginUser = async (req, res, next) => {
       return next(new APIError('Invalid credentials', 401));
     }
     
+    // Check lockout and backoff before evaluating the password
+    const throttleError = checkLoginThrottle(user);
+    
+    if (throttleError) {
+      return next(throttleError);
+    }
+    
     // Check if password matches
     const isMatch = await user.comparePassword(password);
     
     if (!isMatch) {
-      return next(new APIError('Invalid credentials', 401));
+      const lockError = await recordFailedLogin(req, user, 'invalid_password');
+      return next(lockError || new APIError('Invalid credentials', 401));
     }
     
     // Check if user account is active
@@ -118,212 +411,899 @@ exports.loginUser = async (req, res, next) => {
     let service = null;
     if (serviceId) {
       // Check if user has access to the service
-      const userService = await UserService.findOne({
-        userId: user._id,
-        serviceId: serviceId
-      });
+      const accessError = await checkServiceAccess(user._id, serviceId);
       
-      if (!userService) {
-        return next(new APIError('You do not have access to this service', 403));
-      }
-      
-      if (userService.status !== 'active') {
-        return next(new APIError('Your access to this service is suspended', 403));
+      if (accessError) {
+        return next(accessError);
       }
       
       service = serviceId;
     }
     
-    // Update last login time
-    user.lastLoginAt = new Date();
-    await user.save();
+    // If MFA is enabled, require a second factor before issuing tokens
+    if (user.mfa && user.mfa.enabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Multi-factor authentication required',
+        mfaRequired: true,
+        mfaToken: generateMfaToken(user, service, 'password')
+      });
+    }
     
-    // Generate JWT token
-    const token = generateToken(user, service);
+    // An expired password has to be changed before any tokens are issued
+    if (isPasswordExpired(user, await getUserPasswordPolicy(user._id))) {
+      return sendPasswordChangeRequired(res, user);
+    }
     
-    // Generate refresh token
-    const refreshToken = await Token.generateRefreshToken(
-      user._id,
-      service,
-      req.headers['x-forwarded-for'] || req.connection.remoteAddress,
-      req.headers['user-agent'] || ''
-    );
+    const result = await issueLoginTokens(req, user, service);
     
     // Response without password
     res.status(200).json({
       success: true,
       message: 'Login successful',
-      token,
-      refreshToken: refreshToken.token,
-      user: {
-        _id: user._id,
-        username: user.username,
-        email: user.email,
-        displayName: user.displayName,
-        profileImage: user.profileImage,
-        status: user.status,
-        isEmailVerified: user.isEmailVerified,
-        lastLoginAt: user.lastLoginAt
-      }
+      ...result
     });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Get current user profile
-// @route   GET /api/users/profile
-// @access  Private
-exports.getUserProfile = async (req, res, next) => {
+// @desc    Verify MFA code and complete login
+// @route   POST /api/users/mfa/verify
+// @access  Public (with MFA token)
+exports.verifyMfaLogin = async (req, res, next) => {
   try {
-    // Find user with populated relationships
-    const user = await User.findById(req.user._id);
+    const { mfaToken, code } = req.body;
+    
+    // Verify MFA challenge token
+    let decoded;
+    try {
+      decoded = jwt.verify(mfaToken, process.env.JWT_SECRET);
+    } catch (error) {
+      return next(new APIError('Invalid or expired MFA token', 401));
+    }
     
-    if (!user) {
-      return next(new APIError('User not found', 404));
+    if (decoded.purpose !== 'mfa') {
+      return next(new APIError('Invalid or expired MFA token', 401));
     }
     
-    // Get user services and roles
-    const userServices = await UserService.find({ userId: user._id })
-      .populate('serviceId', 'name description')
-      .populate('roles', 'name description');
+    // Find user with MFA secret
+    const user = await User.findById(decoded.id).select('+mfa.secret +mfa.lastUsedStep');
+    
+    if (!user || !user.mfa.enabled || !user.mfa.secret) {
+      return next(new APIError('Invalid or expired MFA token', 401));
+    }
+    
+    // Check if user account is still active
+    if (user.status !== 'active') {
+      return next(new APIError('Your account is not active. Please contact administrator.', 403));
+    }
+    
+    // Check lockout and backoff before evaluating the code
+    const throttleError = checkLoginThrottle(user);
+    
+    if (throttleError) {
+      return next(throttleError);
+    }
+    
+    // Verify TOTP code
+    if (!verifyMfaCode(user, user.mfa.secret, code)) {
+      const lockError = await recordFailedLogin(req, user, 'invalid_mfa_code');
+      return next(lockError || new APIError('Invalid MFA code', 401));
+    }
+    
+    // Logins by any first factor still require an expired password to be changed
+    if (isPasswordExpired(user, await getUserPasswordPolicy(user._id))) {
+      await user.save(); // Keep the used TOTP step
+      return sendPasswordChangeRequired(res, user);
+    }
+    
+    const result = await issueLoginTokens(req, user, decoded.serviceId || null);
     
     // Response
     res.status(200).json({
       success: true,
-      user: {
-        _id: user._id,
-        username: user.username,
-        email: user.email,
-        displayName: user.displayName,
-        profileImage: user.profileImage,
-        status: user.status,
-        isEmailVerified: user.isEmailVerified,
-        lastLoginAt: user.lastLoginAt,
-        createdAt: user.createdAt,
-        metadata: user.metadata
-      },
-      services: userServices.map(us => ({
-        service: us.serviceId,
-        status: us.status,
-        roles: us.roles,
-        customData: us.customData
-      }))
+      message: 'Login successful',
+      ...result
     });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Update user profile
-// @route   PUT /api/users/profile
-// @access  Private
-exports.updateUserProfile = async (req, res, next) => {
+// @desc    Email a single-use magic login link
+// @route   POST /api/users/magic-link
+// @access  Public
+exports.requestMagicLink = async (req, res, next) => {
   try {
-    const { displayName, profileImage, metadata } = req.body;
+    const { email, serviceId } = req.body;
     
-    // Find user
-    const user = await User.findById(req.user._id);
+    const message = 'If an active account with that email exists, a login link has been sent';
     
-    if (!user) {
-      return next(new APIError('User not found', 404));
+    // Find user by email
+    const user = await User.findOne({ email });
+    
+    // Don't reveal if user exists or not for security
+    if (!user || user.status !== 'active') {
+      return res.status(200).json({
+        success: true,
+        message
+      });
     }
     
-    // Update fields if provided
-    if (displayName) user.displayName = displayName;
-    if (profileImage !== undefined) user.profileImage = profileImage;
+    // Throttle by the login links already sent to this user, so the endpoint can't flood their inbox
+    const retryDelay = await getMailRetryDelay(
+      user._id,
+      'magic_login',
+      parseInt(process.env.MAGIC_LINK_RESEND_INTERVAL_SECONDS || '60', 10),
+      parseInt(process.env.MAGIC_LINK_MAX_PER_HOUR || '5', 10)
+    );
     
-    // Update metadata if provided
-    if (metadata) {
-      // Merge with existing metadata
-      user.metadata = {
-        ...user.metadata,
-        ...metadata,
-        preferences: {
-          ...(user.metadata.preferences || {}),
-          ...(metadata.preferences || {})
-        }
-      };
+    if (retryDelay > 0) {
+      return next(new APIError(`Too many login links requested. Please try again in ${retryDelay} seconds.`, 429));
     }
     
-    user.updatedAt = new Date();
-    await user.save();
+    // Generate magic login token (optionally scoped to a service)
+    const magicToken = await Token.generateMagicLoginToken(
+      user._id,
+      serviceId || null,
+      req.headers['x-forwarded-for'] || req.connection.remoteAddress,
+      req.headers['user-agent'] || '',
+      parseInt(process.env.MAGIC_LINK_EXPIRES_MINUTES || '15', 10)
+    );
+    
+    // Email the login link
+    await queueTokenMail(
+      'magic_login',
+      user,
+      magicToken,
+      buildTokenLink(process.env.MAGIC_LINK_URL || 'http://localhost:3000/magic-login', magicToken.token)
+    );
     
     // Response
     res.status(200).json({
       success: true,
-      message: 'Profile updated successfully',
-      user: {
-        _id: user._id,
-        username: user.username,
-        email: user.email,
-        displayName: user.displayName,
-        profileImage: user.profileImage,
-        metadata: user.metadata
-      }
+      message
     });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Change user password
-// @route   PUT /api/users/change-password
-// @access  Private
-exports.changePassword = async (req, res, next) => {
+// @desc    Log in with a magic link token
+// @route   POST /api/users/magic-link/verify
+// @access  Public
+exports.verifyMagicLink = async (req, res, next) => {
   try {
-    const { currentPassword, newPassword } = req.body;
+    const { token } = req.body;
     
-    // Find user with password
-    const user = await User.findById(req.user._id).select('+password');
+    // Magic links are single-use
+    const tokenDoc = await Token.findOneAndDelete({
+      token,
+      type: 'magic_login'
+    });
+    
+    if (!tokenDoc || tokenDoc.isExpired()) {
+      return next(new APIError('Invalid or expired login link', 400));
+    }
+    
+    // Find user
+    const user = await User.findById(tokenDoc.userId);
     
     if (!user) {
-      return next(new APIError('User not found', 404));
+      return next(new APIError('Invalid or expired login link', 400));
     }
     
-    // Check if current password is correct
-    const isMatch = await user.comparePassword(currentPassword);
+    // Check if user account is active
+    if (user.status !== 'active') {
+      return next(new APIError('Your account is not active. Please contact administrator.', 403));
+    }
     
-    if (!isMatch) {
-      return next(new APIError('Current password is incorrect', 401));
+    // If service is specified, check if user has access to it
+    const service = tokenDoc.metadata.serviceId || null;
+    if (service) {
+      const accessError = await checkServiceAccess(user._id, service);
+      
+      if (accessError) {
+        return next(accessError);
+      }
     }
     
-    // Update password
-    user.password = newPassword;
-    user.updatedAt = new Date();
-    await user.save();
+    // Receiving the link proves the user controls the email address
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+    }
     
-    // Invalidate all refresh tokens
-    await Token.deleteMany({
-      userId: user._id,
-      type: 'refresh'
-    });
+    // If MFA is enabled, the link only replaces the password
+    if (user.mfa && user.mfa.enabled) {
+      await user.save();
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Multi-factor authentication required',
+        mfaRequired: true,
+        mfaToken: generateMfaToken(user, service, 'magic_link')
+      });
+    }
+    
+    // An expired password must be changed before any login gets full tokens
+    if (isPasswordExpired(user, await getUserPasswordPolicy(user._id))) {
+      await user.save();
+      return sendPasswordChangeRequired(res, user);
+    }
+    
+    const result = await issueLoginTokens(req, user, service);
     
     // Response
     res.status(200).json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Login successful',
+      ...result
     });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Refresh access token
-// @route   POST /api/users/refresh-token
-// @access  Public (with refresh token)
-exports.refreshToken = async (req, res, next) => {
+// @desc    Start MFA enrollment (generate a new TOTP secret)
+// @route   POST /api/users/mfa/enroll
+// @access  Private
+exports.enrollMfa = async (req, res, next) => {
   try {
-    // User and token should be attached from middleware
-    const { user, token, service } = req;
+    const user = await User.findById(req.user._id);
     
-    // Generate new access token
-    const newAccessToken = generateToken(user, service ? service._id : null);
+    if (!user) {
+      return next(new APIError('User not found', 404));
+    }
     
-    // Response
+    if (user.mfa.enabled) {
+      return next(new APIError('Multi-factor authentication is already enabled', 400));
+    }
+    
+    // Generate a new secret and keep it pending until confirmed
+    const secret = totp.generateSecret();
+    user.mfa.pendingSecret = encrypt(secret);
+    await user.save();
+    
+    // Response (secret is only shown during enrollment)
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app and confirm with a code',
+      secret,
+      otpauthUrl: totp.buildOtpauthUrl(secret, user.username, process.env.MFA_ISSUER || 'TOC')
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm MFA enrollment with a TOTP code
+// @route   POST /api/users/mfa/confirm
+// @access  Private
+exports.confirmMfa = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    
+    const user = await User.findById(req.user._id).select('+mfa.pendingSecret +mfa.lastUsedStep');
+    
+    if (!user) {
+      return next(new APIError('User not found', 404));
+    }
+    
+    if (user.mfa.enabled) {
+      return next(new APIError('Multi-factor authentication is already enabled', 400));
+    }
+    
+    if (!user.mfa.pendingSecret) {
+      return next(new APIError('No pending MFA enrollment. Please start enrollment first.', 400));
+    }
+    
+    // Verify TOTP code against the pending secret
+    if (!verifyMfaCode(user, user.mfa.pendingSecret, code)) {
+      return next(new APIError('Invalid MFA code', 400));
+    }
+    
+    // Activate MFA
+    user.mfa.secret = user.mfa.pendingSecret;
+    user.mfa.pendingSecret = null;
+    user.mfa.enabled = true;
+    user.mfa.enabledAt = new Date();
+    await user.save();
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      message: 'Multi-factor authentication enabled successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Disable MFA
+// @route   POST /api/users/mfa/disable
+// @access  Private
+exports.disableMfa = async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+    
+    const user = await User.findById(req.user._id).select('+password +mfa.secret +mfa.lastUsedStep');
+    
+    if (!user) {
+      return next(new APIError('User not found', 404));
+    }
+    
+    if (!user.mfa.enabled) {
+      return next(new APIError('Multi-factor authentication is not enabled', 400));
+    }
+    
+    // Require both the password and a valid TOTP code
+    const isMatch = await user.comparePassword(password);
+    
+    if (!isMatch) {
+      return next(new APIError('Password is incorrect', 401));
+    }
+    
+    if (!verifyMfaCode(user, user.mfa.secret, code)) {
+      return next(new APIError('Invalid MFA code', 401));
+    }
+    
+    // Clear MFA settings
+    user.mfa.enabled = false;
+    user.mfa.secret = null;
+    user.mfa.pendingSecret = null;
+    user.mfa.lastUsedStep = null;
+    user.mfa.enabledAt = null;
+    await user.save();
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      message: 'Multi-factor authentication disabled successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Generate passkey registration options
+// @route   POST /api/users/passkeys/register/options
+// @access  Private
+exports.getPasskeyRegistrationOptions = async (req, res, next) => {
+  try {
+    const { rpName, rpID } = getWebAuthnConfig();
+    
+    // Exclude credentials the user has already registered
+    const existingPasskeys = await Passkey.find({ userId: req.user._id });
+    
+    const options = await generateRegistrationOptions({
+      rpName,
+      rpID,
+      userID: req.user._id.toString(),
+      userName: req.user.username,
+      userDisplayName: req.user.displayName,
+      attestationType: 'none',
+      excludeCredentials: existingPasskeys.map(passkey => ({
+        id: isoBase64URL.toBuffer(passkey.credentialId),
+        type: 'public-key',
+        transports: passkey.transports
+      })),
+      authenticatorSelection: {
+        residentKey: 'required',
+        userVerification: 'required'
+      }
+    });
+    
+    // Replace any previous pending registration challenge
+    await Token.deleteMany({ userId: req.user._id, type: 'webauthn_registration' });
+    await Token.generateWebAuthnChallenge(
+      'webauthn_registration',
+      options.challenge,
+      req.user._id,
+      req.headers['x-forwarded-for'] || req.connection.remoteAddress,
+      req.headers['user-agent'] || ''
+    );
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      options
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Verify passkey registration and store the credential
+// @route   POST /api/users/passkeys/register/verify
+// @access  Private
+exports.verifyPasskeyRegistration = async (req, res, next) => {
+  try {
+    const { response, name } = req.body;
+    const { rpID, origins } = getWebAuthnConfig();
+    
+    // Find pending registration challenge
+    const challengeDoc = await Token.findOne({
+      userId: req.user._id,
+      type: 'webauthn_registration'
+    });
+    
+    if (!challengeDoc || challengeDoc.isExpired()) {
+      return next(new APIError('Registration challenge not found or expired. Please start again.', 400));
+    }
+    
+    // Challenges are single-use
+    await challengeDoc.deleteOne();
+    
+    let verification;
+    try {
+      verification = await verifyRegistrationResponse({
+        response,
+        expectedChallenge: challengeDoc.token,
+        expectedOrigin: origins,
+        expectedRPID: rpID,
+        requireUserVerification: true
+      });
+    } catch (error) {
+      return next(new APIError(`Passkey registration failed: ${error.message}`, 400));
+    }
+    
+    if (!verification.verified || !verification.registrationInfo) {
+      return next(new APIError('Passkey registration could not be verified', 400));
+    }
+    
+    const {
+      credentialID,
+      credentialPublicKey,
+      counter,
+      credentialDeviceType,
+      credentialBackedUp
+    } = verification.registrationInfo;
+    
+    // Store credential
+    const passkey = await Passkey.create({
+      userId: req.user._id,
+      credentialId: isoBase64URL.fromBuffer(credentialID),
+      publicKey: isoBase64URL.fromBuffer(credentialPublicKey),
+      counter,
+      transports: (response.response && response.response.transports) || [],
+      deviceType: credentialDeviceType,
+      backedUp: credentialBackedUp,
+      name: name || 'Passkey'
+    });
+    
+    // Response
+    res.status(201).json({
+      success: true,
+      message: 'Passkey registered successfully',
+      passkey
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get current user's passkeys
+// @route   GET /api/users/passkeys
+// @access  Private
+exports.getPasskeys = async (req, res, next) => {
+  try {
+    const passkeys = await Passkey.find({ userId: req.user._id }).sort({ createdAt: -1 });
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      count: passkeys.length,
+      passkeys
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a passkey
+// @route   DELETE /api/users/passkeys/:passkeyId
+// @access  Private
+exports.deletePasskey = async (req, res, next) => {
+  try {
+    const passkey = await Passkey.findOne({
+      _id: req.params.passkeyId,
+      userId: req.user._id
+    });
+    
+    if (!passkey) {
+      return next(new APIError('Passkey not found', 404));
+    }
+    
+    await passkey.deleteOne();
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      message: 'Passkey deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Generate passkey login options
+// @route   POST /api/users/passkeys/login/options
+// @access  Public
+exports.getPasskeyLoginOptions = async (req, res, next) => {
+  try {
+    const { rpID } = getWebAuthnConfig();
+    
+    // Discoverable credentials: the authenticator chooses the account,
+    // so no allowCredentials list is sent (and no account existence is revealed)
+    const options = await generateAuthenticationOptions({
+      rpID,
+      userVerification: 'required'
+    });
+    
+    await Token.generateWebAuthnChallenge(
+      'webauthn_authentication',
+      options.challenge,
+      null,
+      req.headers['x-forwarded-for'] || req.connection.remoteAddress,
+      req.headers['user-agent'] || ''
+    );
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      options
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Login with a passkey assertion
+// @route   POST /api/users/passkeys/login/verify
+// @access  Public
+exports.verifyPasskeyLogin = async (req, res, next) => {
+  try {
+    const { response, serviceId } = req.body;
+    const { rpID, origins } = getWebAuthnConfig();
+    
+    // Extract the challenge the client signed
+    let clientData;
+    try {
+      clientData = decodeClientDataJSON(response.response.clientDataJSON);
+    } catch (error) {
+      return next(new APIError('Invalid passkey response', 400));
+    }
+    
+    // Find and consume the challenge (single-use)
+    const challengeDoc = await Token.findOneAndDelete({
+      token: clientData.challenge,
+      type: 'webauthn_authentication'
+    });
+    
+    if (!challengeDoc || challengeDoc.isExpired()) {
+      return next(new APIError('Login challenge not found or expired. Please start again.', 400));
+    }
+    
+    // Find credential
+    const passkey = await Passkey.findOne({ credentialId: response.id });
+    
+    if (!passkey) {
+      return next(new APIError('Invalid credentials', 401));
+    }
+    
+    let verification;
+    try {
+      verification = await verifyAuthenticationResponse({
+        response,
+        expectedChallenge: challengeDoc.token,
+        expectedOrigin: origins,
+        expectedRPID: rpID,
+        authenticator: {
+          credentialID: isoBase64URL.toBuffer(passkey.credentialId),
+          credentialPublicKey: isoBase64URL.toBuffer(passkey.publicKey),
+          counter: passkey.counter,
+          transports: passkey.transports
+        },
+        requireUserVerification: true
+      });
+    } catch (error) {
+      return next(new APIError('Invalid credentials', 401));
+    }
+    
+    if (!verification.verified) {
+      return next(new APIError('Invalid credentials', 401));
+    }
+    
+    // Find user
+    const user = await User.findById(passkey.userId);
+    
+    if (!user) {
+      return next(new APIError('Invalid credentials', 401));
+    }
+    
+    // Check if user account is active
+    if (user.status !== 'active') {
+      return next(new APIError('Your account is not active. Please contact administrator.', 403));
+    }
+    
+    // If service is specified, check if user has access to it
+    let service = null;
+    if (serviceId) {
+      const accessError = await checkServiceAccess(user._id, serviceId);
+      
+      if (accessError) {
+        return next(accessError);
+      }
+      
+      service = serviceId;
+    }
+    
+    // Update credential usage
+    passkey.counter = verification.authenticationInfo.newCounter;
+    passkey.lastUsedAt = new Date();
+    await passkey.save();
+    
+    // An expired password must be changed before any login gets full tokens
+    if (isPasswordExpired(user, await getUserPasswordPolicy(user._id))) {
+      return sendPasswordChangeRequired(res, user);
+    }
+    
+    const result = await issueLoginTokens(req, user, service);
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get current user profile
+// @route   GET /api/users/profile
+// @access  Private
+exports.getUserProfile = async (req, res, next) => {
+  try {
+    // Find user with populated relationships
+    const user = await User.findById(req.user._id);
+    
+    if (!user) {
+      return next(new APIError('User not found', 404));
+    }
+    
+    // Get user services and roles
+    const userServices = await UserService.find({ userId: user._id })
+      .populate('serviceId', 'name description')
+      .populate('roles', 'name description');
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      user: {
+        _id: user._id,
+        username: user.username,
+        email: user.email,
+        displayName: user.displayName,
+        profileImage: user.profileImage,
+        status: user.status,
+        isEmailVerified: user.isEmailVerified,
+        lastLoginAt: user.lastLoginAt,
+        passwordChangedAt: user.passwordChangedAt || user.createdAt,
+        createdAt: user.createdAt,
+        metadata: user.metadata
+      },
+      // Set when an admin is acting as this user
+      impersonation: req.impersonator ? {
+        actor: {
+          _id: req.impersonator._id,
+          username: req.impersonator.username,
+          displayName: req.impersonator.displayName
+        },
+        expiresAt: new Date(req.tokenClaims.exp * 1000)
+      } : null,
+      services: userServices.map(us => ({
+        service: us.serviceId,
+        status: us.status,
+        roles: us.roles,
+        customData: us.customData
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update user profile
+// @route   PUT /api/users/profile
+// @access  Private
+exports.updateUserProfile = async (req, res, next) => {
+  try {
+    const { displayName, profileImage, metadata } = req.body;
+    
+    // Find user
+    const user = await User.findById(req.user._id);
+    
+    if (!user) {
+      return next(new APIError('User not found', 404));
+    }
+    
+    // Update fields if provided
+    if (displayName) user.displayName = displayName;
+    if (profileImage !== undefined) user.profileImage = profileImage;
+    
+    // Update metadata if provided
+    if (metadata) {
+      // Merge with existing metadata
+      user.metadata = {
+        ...user.metadata,
+        ...metadata,
+        preferences: {
+          ...(user.metadata.preferences || {}),
+          ...(metadata.preferences || {})
+        }
+      };
+    }
+    
+    user.updatedAt = new Date();
+    await user.save();
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      message: 'Profile updated successfully',
+      user: {
+        _id: user._id,
+        username: user.username,
+        email: user.email,
+        displayName: user.displayName,
+        profileImage: user.profileImage,
+        metadata: user.metadata
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change user password
+// @route   PUT /api/users/change-password
+// @access  Private
+exports.changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    
+    // Find user with password and previous passwords
+    const user = await User.findById(req.user._id).select('+password +passwordHistory');
+    
+    if (!user) {
+      return next(new APIError('User not found', 404));
+    }
+    
+    // Check if current password is correct
+    const isMatch = await user.comparePassword(currentPassword);
+    
+    if (!isMatch) {
+      return next(new APIError('Current password is incorrect', 401));
+    }
+    
+    const passwordError = await validateNewPassword(user, newPassword, await getUserPasswordPolicy(user._id));
+    
+    if (passwordError) {
+      return next(passwordError);
+    }
+    
+    // Update password and invalidate all issued access tokens
+    user.password = newPassword;
+    user.revokeIssuedTokens();
+    user.updatedAt = new Date();
+    await user.save();
+    
+    // Invalidate all refresh tokens
+    await Token.deleteMany({
+      userId: user._id,
+      type: 'refresh'
+    });
+    
+    // Personal access tokens don't survive a password change either
+    await PersonalAccessToken.deleteMany({ userId: user._id });
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully. Please log in again.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change an expired password (with the token returned by login)
+// @route   POST /api/users/change-expired-password
+// @access  Public (with password change token)
+exports.changeExpiredPassword = async (req, res, next) => {
+  try {
+    const { passwordChangeToken, newPassword } = req.body;
+    
+    // Verify password change token
+    let decoded;
+    try {
+      decoded = jwt.verify(passwordChangeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      return next(new APIError('Invalid or expired password change token', 401));
+    }
+    
+    if (decoded.purpose !== 'password_change') {
+      return next(new APIError('Invalid or expired password change token', 401));
+    }
+    
+    // Find user with password and previous passwords
+    const user = await User.findById(decoded.id).select('+password +passwordHistory');
+    
+    // A token can't be used again once the password has been changed
+    if (!user || (user.passwordChangedAt && user.passwordChangedAt.getTime() > decoded.iat * 1000)) {
+      return next(new APIError('Invalid or expired password change token', 401));
+    }
+    
+    // Check if user account is still active
+    if (user.status !== 'active') {
+      return next(new APIError('Your account is not active. Please contact administrator.', 403));
+    }
+    
+    const passwordError = await validateNewPassword(user, newPassword, await getUserPasswordPolicy(user._id));
+    
+    if (passwordError) {
+      return next(passwordError);
+    }
+    
+    // Update password and invalidate all issued access tokens
+    user.password = newPassword;
+    user.revokeIssuedTokens();
+    user.updatedAt = new Date();
+    await user.save();
+    
+    // Invalidate all refresh tokens
+    await Token.deleteMany({
+      userId: user._id,
+      type: 'refresh'
+    });
+    
+    // Personal access tokens don't survive a password change either
+    await PersonalAccessToken.deleteMany({ userId: user._id });
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully. Please log in again.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Refresh access token
+// @route   POST /api/users/refresh-token
+// @access  Public (with refresh token)
+exports.refreshToken = async (req, res, next) => {
+  try {
+    // User and token should be attached from middleware
+    const { user, token, service } = req;
+    
+    // Generate new access token and rotate the refresh token into the same family
+    const { token: newAccessToken, refreshToken: newRefreshToken } = await rotateRefreshToken(
+      req,
+      user,
+      token,
+      service ? service._id : null
+    );
+    
+    // Response
     res.status(200).json({
       success: true,
       token: newAccessToken,
+      refreshToken: newRefreshToken.token,
       user: {
         _id: user._id,
         username: user.username,
@@ -336,6 +1316,48 @@ exports.refreshToken = async (req, res, next) => {
   }
 };
 
+// @desc    Exchange the current token for one scoped to another service (or to no service)
+// @route   POST /api/users/token-exchange
+// @access  Private
+exports.exchangeToken = async (req, res, next) => {
+  try {
+    const serviceId = req.body.serviceId || null;
+    let service = null;
+    
+    if (serviceId) {
+      // Same checks as authenticate: the service is active and the user's access to it is active
+      service = await Service.findById(serviceId);
+      
+      if (!service) {
+        return next(new APIError('Service not found', 404));
+      }
+      
+      if (!service.active) {
+        return next(new APIError('Service is not active', 403));
+      }
+      
+      const accessError = await checkServiceAccess(req.user._id, service._id);
+      
+      if (accessError) {
+        return next(accessError);
+      }
+    }
+    
+    // Issue tokens for a new session in the target context
+    const { token, refreshToken } = await exchangeSessionTokens(req, req.user, service ? service._id : null);
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken: refreshToken.token,
+      service: service ? { _id: service._id, name: service.name } : null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Verify email with token
 // @route   GET /api/users/verify-email/:token
 // @access  Public
@@ -355,7 +1377,7 @@ exports.verifyEmail = async (req, res, next) => {
     
     // Check if token is expired
     if (tokenDoc.isExpired()) {
-      await tokenDoc.delete();
+      await tokenDoc.deleteOne();
       return next(new APIError('Verification token has expired', 400));
     }
     
@@ -363,7 +1385,7 @@ exports.verifyEmail = async (req, res, next) => {
     const user = await User.findById(tokenDoc.userId);
     
     if (!user) {
-      await tokenDoc.delete();
+      await tokenDoc.deleteOne();
       return next(new APIError('User not found', 404));
     }
     
@@ -375,7 +1397,7 @@ exports.verifyEmail = async (req, res, next) => {
     }
     
     // Delete token
-    await tokenDoc.delete();
+    await tokenDoc.deleteOne();
     
     // Response
     res.status(200).json({
@@ -387,6 +1409,171 @@ exports.verifyEmail = async (req, res, next) => {
   }
 };
 
+// @desc    Send a new email verification link
+// @route   POST /api/users/resend-verification
+// @access  Public
+exports.resendVerification = async (req, res, next) => {
+  try {
+    const { email, serviceId } = req.body;
+    
+    const message = 'If an unverified account with that email exists, a verification email has been sent';
+    
+    // Service whose email templates are used for the verification email
+    const mailService = await findRequestedService(serviceId);
+    
+    if (serviceId && !mailService) {
+      return next(new APIError('Service not found or not active', 400));
+    }
+    
+    // Find user by email
+    const user = await User.findOne({ email });
+    
+    // Don't reveal if user exists or not for security
+    if (!user || user.isEmailVerified || user.status === 'suspended') {
+      return res.status(200).json({
+        success: true,
+        message
+      });
+    }
+    
+    // Throttle by the verification emails already sent to this user
+    const retryDelay = await getMailRetryDelay(
+      user._id,
+      'email_verification',
+      parseInt(process.env.VERIFICATION_RESEND_INTERVAL_SECONDS || '60', 10),
+      parseInt(process.env.VERIFICATION_RESEND_MAX_PER_HOUR || '5', 10)
+    );
+    
+    if (retryDelay > 0) {
+      return next(new APIError(`Too many verification emails requested. Please try again in ${retryDelay} seconds.`, 429));
+    }
+    
+    // Only the newest link can be used
+    await Token.deleteMany({ userId: user._id, type: 'verification' });
+    
+    const verificationToken = await Token.generateVerificationToken(
+      user._id,
+      mailService ? mailService._id : null,
+      req.headers['x-forwarded-for'] || req.connection.remoteAddress,
+      req.headers['user-agent'] || ''
+    );
+    
+    await queueTokenMail('email_verification', user, verificationToken, buildVerificationLink(verificationToken.token));
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      message
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Request a change of email address (confirmed from the new address)
+// @route   POST /api/users/email-change
+// @access  Private
+exports.requestEmailChange = async (req, res, next) => {
+  try {
+    const { newEmail, password } = req.body;
+    
+    // Find user with password
+    const user = await User.findById(req.user._id).select('+password');
+    
+    if (!user) {
+      return next(new APIError('User not found', 404));
+    }
+    
+    // Require the password so a stolen session can't take over the account's email
+    const isMatch = await user.comparePassword(password);
+    
+    if (!isMatch) {
+      return next(new APIError('Password is incorrect', 401));
+    }
+    
+    const changeError = await startEmailChange(req, user, newEmail);
+    
+    if (changeError) {
+      return next(changeError);
+    }
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      message: 'A confirmation link has been sent to the new email address. Your email will change once it is confirmed.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm an email change
+// @route   GET /api/users/email-change/confirm/:token
+// @access  Public
+exports.confirmEmailChange = async (req, res, next) => {
+  try {
+    const { token } = req.params;
+    
+    // Find token
+    const tokenDoc = await Token.findOne({
+      token,
+      type: 'email_change'
+    });
+    
+    if (!tokenDoc) {
+      return next(new APIError('Invalid or expired email change token', 400));
+    }
+    
+    // Check if token is expired
+    if (tokenDoc.isExpired()) {
+      await tokenDoc.deleteOne();
+      return next(new APIError('Email change token has expired', 400));
+    }
+    
+    // Find user
+    const user = await User.findById(tokenDoc.userId);
+    
+    if (!user) {
+      await tokenDoc.deleteOne();
+      return next(new APIError('User not found', 404));
+    }
+    
+    // The address may have been taken since the change was requested
+    const existingUser = await User.findOne({ email: tokenDoc.newEmail, _id: { $ne: user._id } });
+    
+    if (existingUser) {
+      await tokenDoc.deleteOne();
+      return next(new APIError('Email already in use', 400));
+    }
+    
+    // Opening the link proves ownership of the new address
+    user.email = tokenDoc.newEmail;
+    user.isEmailVerified = true;
+    
+    if (user.status === 'pending') {
+      user.status = 'active'; // Activate user account
+    }
+    
+    user.updatedAt = new Date();
+    await user.save();
+    
+    // Links sent to the old address can no longer be used
+    await Token.deleteMany({
+      userId: user._id,
+      type: { $in: ['email_change', 'verification', 'password_reset', 'magic_login'] }
+    });
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      message: 'Email changed successfully',
+      email: user.email
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Logout user (invalidate refresh token)
 // @route   POST /api/users/logout
 // @access  Private
@@ -395,17 +1582,212 @@ exports.logoutUser = async (req, res, next) => {
     const { refreshToken } = req.body;
     
     if (refreshToken) {
-      // Delete refresh token
-      await Token.deleteOne({
+      // Revoke the session the refresh token belongs to
+      const tokenDoc = await Token.findOne({
+        userId: req.user._id,
         token: refreshToken,
         type: 'refresh'
       });
+      
+      if (tokenDoc) {
+        await Token.revokeFamily(tokenDoc);
+      }
+    }
+    
+    // Revoke the access token used for this request
+    if (req.tokenClaims && req.tokenClaims.jti) {
+      await RevokedToken.revoke(
+        req.tokenClaims.jti,
+        req.user._id,
+        new Date(req.tokenClaims.exp * 1000),
+        'logout'
+      );
+    }
+    
+    // Revoke the session the access token was issued for
+    if (req.sessionId) {
+      const session = await Token.findActiveSession(req.user._id, req.sessionId);
+      
+      if (session) {
+        await Token.revokeFamily(session);
+      }
+    }
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get current user's active sessions
+// @route   GET /api/users/sessions
+// @access  Private
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Token.findActiveSessions(req.user._id);
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map(session => formatSession(session, req.sessionId))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/users/sessions/:sessionId
+// @access  Private
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const session = await Token.findActiveSession(req.user._id, req.params.sessionId);
+    
+    if (!session) {
+      return next(new APIError('Session not found', 404));
+    }
+    
+    await Token.revokeFamily(session);
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke all of the current user's sessions except the current one
+// @route   POST /api/users/sessions/revoke-others
+// @access  Private
+exports.revokeOtherSessions = async (req, res, next) => {
+  try {
+    let currentSessionId = req.sessionId;
+    
+    // Fall back to the refresh token for access tokens issued without a session ID
+    if (!currentSessionId && req.body.refreshToken) {
+      const tokenDoc = await Token.findOne({
+        userId: req.user._id,
+        token: req.body.refreshToken,
+        type: 'refresh'
+      });
+      
+      if (tokenDoc) {
+        currentSessionId = tokenDoc.getSessionId();
+      }
+    }
+    
+    if (!currentSessionId) {
+      return next(new APIError('Current session could not be determined. Please log in again or provide your refresh token.', 400));
+    }
+    
+    // Revoke every refresh token that does not belong to the current session
+    const filter = {
+      userId: req.user._id,
+      type: 'refresh',
+      familyId: { $ne: currentSessionId }
+    };
+    
+    // Sessions created before token families existed are identified by their token ID
+    if (mongoose.Types.ObjectId.isValid(currentSessionId)) {
+      filter._id = { $ne: currentSessionId };
+    }
+    
+    const result = await Token.deleteMany(filter);
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      message: 'Signed out of all other sessions successfully',
+      revokedCount: result.deletedCount
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a user's active sessions (admin)
+// @route   GET /api/users/:id/sessions
+// @access  Private (Admin only)
+exports.getUserSessions = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return next(new APIError('User not found', 404));
+    }
+    
+    const sessions = await Token.findActiveSessions(user._id);
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map(session => formatSession(session))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke one of a user's sessions (admin)
+// @route   DELETE /api/users/:id/sessions/:sessionId
+// @access  Private (Admin only)
+exports.revokeUserSession = async (req, res, next) => {
+  try {
+    const session = await Token.findActiveSession(req.params.id, req.params.sessionId);
+    
+    if (!session) {
+      return next(new APIError('Session not found', 404));
+    }
+    
+    await Token.revokeFamily(session);
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke all of a user's sessions (admin)
+// @route   DELETE /api/users/:id/sessions
+// @access  Private (Admin only)
+exports.revokeAllUserSessions = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return next(new APIError('User not found', 404));
     }
     
+    const result = await Token.deleteMany({
+      userId: user._id,
+      type: 'refresh'
+    });
+    
+    // Also invalidate access tokens already issued
+    user.revokeIssuedTokens();
+    await user.save();
+    
+    // And the user's personal access tokens
+    await PersonalAccessToken.deleteMany({ userId: user._id });
+    
     // Response
     res.status(200).json({
       success: true,
-      message: 'Logged out successfully'
+      message: 'All sessions revoked successfully',
+      revokedCount: result.deletedCount
     });
   } catch (error) {
     next(error);
@@ -483,6 +1865,7 @@ exports.getUserById = async (req, res, next) => {
     res.status(200).json({
       success: true,
       user,
+      lockStatus: user.getLockStatus(),
       services: userServices
     });
   } catch (error) {
@@ -495,7 +1878,7 @@ exports.getUserById = async (req, res, next) => {
 // @access  Private (Admin only)
 exports.updateUser = async (req, res, next) => {
   try {
-    const { displayName, profileImage, status, isEmailVerified, metadata } = req.body;
+    const { email, displayName, profileImage, status, isEmailVerified, metadata } = req.body;
     
     // Find user
     const user = await User.findById(req.params.id);
@@ -504,12 +1887,28 @@ exports.updateUser = async (req, res, next) => {
       return next(new APIError('User not found', 404));
     }
     
+    // A new email address still has to be confirmed by the user
+    const newEmail = email ? email.trim().toLowerCase() : null;
+    const isChangingEmail = !!newEmail && newEmail !== user.email;
+    
+    if (isChangingEmail) {
+      const changeError = await startEmailChange(req, user, newEmail);
+      
+      if (changeError) {
+        return next(changeError);
+      }
+    }
+    
     // Update fields if provided
     if (displayName) user.displayName = displayName;
     if (profileImage !== undefined) user.profileImage = profileImage;
-    if (status) user.status = status;
     if (isEmailVerified !== undefined) user.isEmailVerified = isEmailVerified;
     
+    // Suspending a user invalidates all of their tokens
+    const isSuspending = status === 'suspended' && user.status !== 'suspended';
+    if (status) user.status = status;
+    if (isSuspending) user.revokeIssuedTokens();
+    
     // Update metadata if provided
     if (metadata) {
       // Merge with existing metadata
@@ -526,10 +1925,19 @@ exports.updateUser = async (req, res, next) => {
     user.updatedAt = new Date();
     await user.save();
     
+    if (isSuspending) {
+      await Token.deleteMany({
+        userId: user._id,
+        type: 'refresh'
+      });
+    }
+    
     // Response
     res.status(200).json({
       success: true,
-      message: 'User updated successfully',
+      message: isChangingEmail
+        ? 'User updated successfully. The new email address must be confirmed before it takes effect.'
+        : 'User updated successfully',
       user
     });
   } catch (error) {
@@ -537,6 +1945,31 @@ exports.updateUser = async (req, res, next) => {
   }
 };
 
+// @desc    Unlock a user locked out by failed login attempts
+// @route   POST /api/users/:id/unlock
+// @access  Private (Admin only)
+exports.unlockUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return next(new APIError('User not found', 404));
+    }
+    
+    user.resetFailedLogins();
+    await user.save();
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      message: 'User unlocked successfully',
+      lockStatus: user.getLockStatus()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Delete user
 // @route   DELETE /api/users/:id
 // @access  Private (Admin only)
@@ -560,6 +1993,12 @@ exports.deleteUser = async (req, res, next) => {
     // Delete user tokens
     await Token.deleteMany({ userId: user._id });
     
+    // Delete user passkeys
+    await Passkey.deleteMany({ userId: user._id });
+    
+    // Delete user personal access tokens
+    await PersonalAccessToken.deleteMany({ userId: user._id });
+    
     // Delete user
     await user.deleteOne();
     
@@ -578,10 +2017,13 @@ exports.deleteUser = async (req, res, next) => {
 // @access  Public
 exports.forgotPassword = async (req, res, next) => {
   try {
-    const { email } = req.body;
+    const { email, serviceId } = req.body;
     
-    if (!email) {
-      return next(new APIError('Email is required', 400));
+    // Service whose email templates are used for the reset email
+    const mailService = await findRequestedService(serviceId);
+    
+    if (serviceId && !mailService) {
+      return next(new APIError('Service not found or not active', 400));
     }
     
     // Find user by email
@@ -595,83 +2037,461 @@ exports.forgotPassword = async (req, res, next) => {
       });
     }
     
+    // Throttle by the reset emails already sent to this user, so the endpoint can't flood their inbox
+    const retryDelay = await getMailRetryDelay(
+      user._id,
+      'password_reset',
+      parseInt(process.env.PASSWORD_RESET_RESEND_INTERVAL_SECONDS || '60', 10),
+      parseInt(process.env.PASSWORD_RESET_MAX_PER_HOUR || '5', 10)
+    );
+    
+    if (retryDelay > 0) {
+      return next(new APIError(`Too many password reset emails requested. Please try again in ${retryDelay} seconds.`, 429));
+    }
+    
     // Generate password reset token
     const resetToken = await Token.generatePasswordResetToken(
       user._id,
-      req.service ? req.service._id : null,
+      mailService ? mailService._id : null,
       req.headers['x-forwarded-for'] || req.connection.remoteAddress,
       req.headers['user-agent'] || ''
     );
     
-    // TODO: Send email with reset token
-    // This would typically involve sending an email with a link containing the token
-    // For now, we'll just return the token in the response
+    // Email the reset link (the token is never returned by the API)
+    await queueTokenMail(
+      'password_reset',
+      user,
+      resetToken,
+      buildTokenLink(process.env.PASSWORD_RESET_URL || 'http://localhost:3000/reset-password', resetToken.token)
+    );
     
     // Response
     res.status(200).json({
       success: true,
-      message: 'If a user with that email exists, a password reset link has been sent',
-      resetToken: resetToken.token // In production, this should be removed
+      message: 'If a user with that email exists, a password reset link has been sent'
     });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Reset password with token
+// @desc    Reset password with token or recovery code
 // @route   POST /api/users/reset-password/:token
+// @route   POST /api/users/reset-password (with username and recovery code)
 // @access  Public
 exports.resetPassword = async (req, res, next) => {
   try {
     const { token } = req.params;
+    const { password, username, recoveryCode } = req.body;
+    
+    let user;
+    let passwordError;
+    
+    if (token) {
+      // Find token
+      const tokenDoc = await Token.findOne({
+        token,
+        type: 'password_reset'
+      });
+      
+      if (!tokenDoc) {
+        return next(new APIError('Invalid or expired reset token', 400));
+      }
+      
+      // Check if token is expired
+      if (tokenDoc.isExpired()) {
+        await tokenDoc.deleteOne();
+        return next(new APIError('Reset token has expired', 400));
+      }
+      
+      // Find user with password and previous passwords
+      user = await User.findById(tokenDoc.userId).select('+password +passwordHistory');
+      
+      if (!user) {
+        await tokenDoc.deleteOne();
+        return next(new APIError('User not found', 404));
+      }
+      
+      // Keep the token usable until a valid password is given
+      passwordError = await validateNewPassword(user, password, await getUserPasswordPolicy(user._id));
+      
+      if (passwordError) {
+        return next(passwordError);
+      }
+      
+      // Delete token
+      await tokenDoc.deleteOne();
+    } else {
+      // Recovery code path (for users who lost access to their email)
+      if (!username || !recoveryCode) {
+        return next(new APIError('Reset token or username and recovery code are required', 400));
+      }
+      
+      user = await User.findOne({ username }).select('+recoveryCodes +password +passwordHistory');
+      
+      if (!user) {
+        return next(new APIError('Invalid username or recovery code', 400));
+      }
+      
+      // Recovery codes are throttled and locked out together with password logins
+      const throttleError = checkLoginThrottle(user);
+      
+      if (throttleError) {
+        return next(throttleError);
+      }
+      
+      if (!user.consumeRecoveryCode(recoveryCode)) {
+        const lockError = await recordFailedLogin(req, user, 'invalid_recovery_code');
+        return next(lockError || new APIError('Invalid username or recovery code', 400));
+      }
+      
+      // The code is only marked as used once the user is saved, so it stays valid if this fails
+      passwordError = await validateNewPassword(user, password, await getUserPasswordPolicy(user._id));
+      
+      if (passwordError) {
+        return next(passwordError);
+      }
+    }
+    
+    // Update password and invalidate all issued access tokens
+    user.password = password;
+    user.revokeIssuedTokens();
+    user.resetFailedLogins();
+    user.updatedAt = new Date();
+    await user.save();
+    
+    // Delete all refresh tokens for this user for security
+    await Token.deleteMany({
+      userId: user._id,
+      type: 'refresh'
+    });
+    
+    // Personal access tokens don't survive a password reset either
+    await PersonalAccessToken.deleteMany({ userId: user._id });
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Generate a new set of recovery codes
+// @route   POST /api/users/recovery-codes
+// @access  Private
+exports.generateRecoveryCodes = async (req, res, next) => {
+  try {
     const { password } = req.body;
     
-    if (!password) {
-      return next(new APIError('Password is required', 400));
+    const user = await User.findById(req.user._id).select('+password +recoveryCodes');
+    
+    if (!user) {
+      return next(new APIError('User not found', 404));
     }
     
-    // Find token
-    const tokenDoc = await Token.findOne({
+    // Require the current password to (re)generate codes
+    const isMatch = await user.comparePassword(password);
+    
+    if (!isMatch) {
+      return next(new APIError('Password is incorrect', 401));
+    }
+    
+    // Generate new codes (invalidates any previous ones)
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+    
+    // Response (codes are only shown once)
+    res.status(200).json({
+      success: true,
+      message: 'Recovery codes generated successfully. Store them in a safe place; they will not be shown again.',
+      recoveryCodes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get recovery code status
+// @route   GET /api/users/recovery-codes
+// @access  Private
+exports.getRecoveryCodeStatus = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('+recoveryCodes');
+    
+    if (!user) {
+      return next(new APIError('User not found', 404));
+    }
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      total: user.recoveryCodes.length,
+      remaining: user.countRemainingRecoveryCodes()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get current user's personal access tokens
+// @route   GET /api/users/personal-access-tokens
+// @access  Private
+exports.getPersonalAccessTokens = async (req, res, next) => {
+  try {
+    const personalAccessTokens = await PersonalAccessToken.find({ userId: req.user._id })
+      .populate('serviceId', 'name')
+      .sort({ createdAt: -1 });
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      count: personalAccessTokens.length,
+      personalAccessTokens
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a personal access token
+// @route   POST /api/users/personal-access-tokens
+// @access  Private
+exports.createPersonalAccessToken = async (req, res, next) => {
+  try {
+    const { name, expiresInDays } = req.body;
+    const scopes = [...new Set(req.body.scopes)];
+    const serviceId = req.body.serviceId || null;
+    
+    const maxDays = parseInt(process.env.PERSONAL_ACCESS_TOKEN_MAX_DAYS || '365', 10);
+    
+    if (expiresInDays > maxDays) {
+      return next(new APIError(`Personal access tokens can be valid for at most ${maxDays} days`, 400));
+    }
+    
+    // Optionally limit the token to one of the user's services
+    if (serviceId) {
+      const service = await Service.findById(serviceId);
+      
+      if (!service) {
+        return next(new APIError('Service not found', 404));
+      }
+      
+      if (!service.active) {
+        return next(new APIError('Service is not active', 403));
+      }
+      
+      const accessError = await checkServiceAccess(req.user._id, service._id);
+      
+      if (accessError) {
+        return next(accessError);
+      }
+    }
+    
+    // Scopes must be permissions the user holds in the token's context (admins hold them all)
+    const { roles } = await resolveUserAccess(req.user, serviceId);
+    const isAdmin = roles.some(role => role.name === 'admin');
+    const granted = new Set(roles.reduce((all, role) => all.concat(role.permissions || []), []));
+    const missingScopes = isAdmin ? [] : scopes.filter(scope => !granted.has(scope));
+    
+    if (missingScopes.length > 0) {
+      return next(new APIError(`You do not have the permissions requested for this token: ${missingScopes.join(', ')}`, 403));
+    }
+    
+    const { tokenDoc, token } = await PersonalAccessToken.generate(req.user._id, {
+      name,
+      scopes,
+      serviceId,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    });
+    
+    // Response
+    res.status(201).json({
+      success: true,
+      message: 'Personal access token created successfully. Copy it now, it will not be shown again.',
       token,
-      type: 'password_reset'
+      personalAccessToken: tokenDoc
     });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a personal access token
+// @route   DELETE /api/users/personal-access-tokens/:tokenId
+// @access  Private
+exports.deletePersonalAccessToken = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.tokenId)) {
+      return next(new APIError('Personal access token not found', 404));
+    }
     
-    if (!tokenDoc) {
-      return next(new APIError('Invalid or expired reset token', 400));
+    const personalAccessToken = await PersonalAccessToken.findOne({
+      _id: req.params.tokenId,
+      userId: req.user._id
+    });
+    
+    if (!personalAccessToken) {
+      return next(new APIError('Personal access token not found', 404));
     }
     
-    // Check if token is expired
-    if (tokenDoc.isExpired()) {
-      await tokenDoc.delete();
-      return next(new APIError('Reset token has expired', 400));
+    await personalAccessToken.deleteOne();
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      message: 'Personal access token deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Issue an account recovery path for a locked-out user (admin)
+// @route   POST /api/users/:id/recovery
+// @access  Private (Admin only)
+exports.issueAccountRecovery = async (req, res, next) => {
+  try {
+    const { reason, resetMfa } = req.body;
+    
+    if (String(req.params.id) === String(req.user._id)) {
+      return next(new APIError('You cannot issue account recovery for your own account', 400));
     }
     
     // Find user
-    const user = await User.findById(tokenDoc.userId);
+    const user = await User.findById(req.params.id).select('+mfa.secret +mfa.pendingSecret +mfa.lastUsedStep');
     
     if (!user) {
-      await tokenDoc.delete();
       return next(new APIError('User not found', 404));
     }
     
-    // Update password
-    user.password = password;
-    user.updatedAt = new Date();
-    await user.save();
+    // Recovery hands over the account, so it cannot be used against other administrators
+    if (await isPrivilegedUser(user._id)) {
+      return next(new APIError('Account recovery cannot be issued for administrators', 403));
+    }
     
-    // Delete token
-    await tokenDoc.delete();
+    // Optionally clear MFA so the user can log in with the new password alone
+    if (resetMfa && user.mfa.enabled) {
+      user.mfa.enabled = false;
+      user.mfa.secret = null;
+      user.mfa.pendingSecret = null;
+      user.mfa.lastUsedStep = null;
+      user.mfa.enabledAt = null;
+      await user.save();
+    }
     
-    // Delete all refresh tokens for this user for security
-    await Token.deleteMany({
-      userId: user._id,
-      type: 'refresh'
+    // Issue a password reset token to be handed over out-of-band (valid for 24 hours)
+    const resetToken = await Token.generatePasswordResetToken(
+      user._id,
+      null,
+      req.headers['x-forwarded-for'] || req.connection.remoteAddress,
+      req.headers['user-agent'] || '',
+      24
+    );
+    
+    // Record the recovery with the mandatory reason
+    await AuditLog.logAction('user:admin_recovery', {
+      targetUserId: user._id,
+      targetUsername: user.username,
+      reason,
+      resetMfa: !!resetMfa,
+      expiresAt: resetToken.expiresAt
+    }, {
+      userId: req.user._id,
+      serviceId: req.service ? req.service._id : null,
+      ipAddress: req.headers['x-forwarded-for'] || req.connection.remoteAddress,
+      userAgent: req.headers['user-agent'] || ''
     });
     
     // Response
     res.status(200).json({
       success: true,
-      message: 'Password reset successfully'
+      message: 'Account recovery issued successfully. Deliver the reset token to the user through a verified channel.',
+      resetToken: resetToken.token,
+      expiresAt: resetToken.expiresAt
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Issue a short-lived token to act as a user (admin)
+// @route   POST /api/users/:id/impersonate
+// @access  Private (Admin only)
+exports.impersonateUser = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+    const serviceId = req.body.serviceId || null;
+    
+    if (String(req.params.id) === String(req.user._id)) {
+      return next(new APIError('You cannot impersonate yourself', 400));
+    }
+    
+    // Find user
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return next(new APIError('User not found', 404));
+    }
+    
+    if (user.status !== 'active') {
+      return next(new APIError('Only active users can be impersonated', 400));
+    }
+    
+    // Users who could impersonate others themselves are off limits, so impersonation cannot be chained
+    if (await isPrivilegedUser(user._id)) {
+      return next(new APIError('Administrators cannot be impersonated', 403));
+    }
+    
+    // Optionally act as the user within one of their services
+    if (serviceId) {
+      const service = await Service.findById(serviceId);
+      
+      if (!service) {
+        return next(new APIError('Service not found', 404));
+      }
+      
+      if (!service.active) {
+        return next(new APIError('Service is not active', 403));
+      }
+      
+      const userService = await UserService.findOne({ userId: user._id, serviceId: service._id });
+      
+      if (!userService || userService.status !== 'active') {
+        return next(new APIError('User does not have active access to this service', 400));
+      }
+    }
+    
+    const token = await generateImpersonationToken(user, req.user, serviceId);
+    const expiresAt = new Date(jwt.decode(token).exp * 1000);
+    
+    // Record the impersonation with the mandatory reason
+    await AuditLog.logAction('user:impersonate', {
+      targetUserId: user._id,
+      targetUsername: user.username,
+      reason,
+      expiresAt
+    }, {
+      userId: req.user._id,
+      serviceId,
+      ipAddress: req.headers['x-forwarded-for'] || req.connection.remoteAddress,
+      userAgent: req.headers['user-agent'] || ''
+    });
+    
+    // Response
+    res.status(200).json({
+      success: true,
+      message: 'Impersonation token issued successfully',
+      token,
+      expiresAt,
+      user: {
+        _id: user._id,
+        username: user.username,
+        email: user.email,
+        displayName: user.displayName
+      }
     });
   } catch (error) {
     next(error);
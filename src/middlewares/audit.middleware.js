@@ -18,6 +18,7 @@ const auditLogger = (action) => {
           // Extract details from request
           const userId = req.user ? req.user._id : null;
           const serviceId = req.service ? req.service._id : null;
+          const actorId = req.impersonator ? req.impersonator._id : null;
           const ipAddress = req.headers['x-forwarded-for'] ||
                             req.connection.remoteAddress ||
                             req.socket.remoteAddress ||
@@ -50,6 +51,15 @@ const auditLogger = (action) => {
             delete bodyCopy.currentPassword;
             delete bodyCopy.newPassword;
             delete bodyCopy.apiSecret;
+            delete bodyCopy.code;
+            delete bodyCopy.mfaToken;
+            delete bodyCopy.passwordChangeToken;
+            delete bodyCopy.recoveryCode;
+            delete bodyCopy.refreshToken;
+            delete bodyCopy.refresh_token;
+            delete bodyCopy.client_secret;
+            delete bodyCopy.code_verifier;
+            delete bodyCopy.token;
 
             details.body = bodyCopy;
           }
@@ -64,10 +74,27 @@ const auditLogger = (action) => {
               delete dataCopy.user.password;
             }
 
+            // Newly issued service credentials are returned inside the service
+            if (dataCopy.service && (dataCopy.service.apiSecret || dataCopy.service.signingSecret)) {
+              dataCopy.service = { ...dataCopy.service };
+              delete dataCopy.service.apiSecret;
+              delete dataCopy.service.signingSecret;
+            }
+
             // Remove any token or secret from the response
             delete dataCopy.token;
             delete dataCopy.refreshToken;
             delete dataCopy.apiSecret;
+            delete dataCopy.mfaToken;
+            delete dataCopy.passwordChangeToken;
+            delete dataCopy.secret;
+            delete dataCopy.otpauthUrl;
+            delete dataCopy.recoveryCodes;
+            delete dataCopy.resetToken;
+            delete dataCopy.access_token;
+            delete dataCopy.refresh_token;
+            delete dataCopy.id_token;
+            delete dataCopy.redirectUrl;
 
             details.response = dataCopy;
           }
@@ -76,6 +103,7 @@ const auditLogger = (action) => {
           AuditLog.logAction(action, details, {
             userId,
             serviceId,
+            actorId,
             ipAddress,
             userAgent
           }).catch(error => {
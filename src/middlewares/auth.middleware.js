@@ -1,6 +1,8 @@
-const jwt = require('jsonwebtoken');
-const { User, Token, UserService, Role, Service } = require('../models');
+const { Service, RevokedToken } = require('../models');
 const { APIError } = require('../utils/error.handler');
+const { consumeRefreshToken, verifyAccessToken } = require('../utils/tokens');
+const { verifyToken } = require('../utils/signingKeys');
+const { verifyRequestSignature } = require('../utils/requestSigning');
 const logger = require('../utils/logger');
 
 // Middleware to authenticate user using JWT
@@ -19,104 +21,119 @@ exports.authenticate = async (req, res, next) => {
       return next(new APIError('Authentication required. Please provide a valid token.', 401));
     }
     
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Verify token and resolve its user, service and roles
+    const { decoded, user, service, userService, roles, impersonator, personalAccessToken } = await verifyAccessToken(token);
     
-    // Check if user exists
-    const user = await User.findById(decoded.id);
+    // Attach user, session and token claims to request object
+    req.user = user;
+    req.sessionId = decoded.sid || null;
+    req.tokenClaims = decoded;
     
-    if (!user) {
-      return next(new APIError('User not found or token is invalid.', 401));
-    }
+    // Attach the admin acting as the user, if this is an impersonation token
+    req.impersonator = impersonator;
+    
+    // Attach the personal access token, if one was used instead of a JWT
+    req.personalAccessToken = personalAccessToken;
     
-    // Check if user is active
-    if (user.status !== 'active') {
-      return next(new APIError('User account is not active.', 403));
+    // If service is specified in the token, attach it and the user's relationship with it
+    if (service) {
+      req.service = service;
+      req.userService = userService;
     }
     
-    // Attach user to request object
-    req.user = user;
+    // Attach user's roles (service roles, or global roles without a service)
+    req.userRoles = roles;
     
-    // If service is specified in the token, attach it to the request
-    if (decoded.serviceId) {
-      // Find the service
-      const service = await Service.findById(decoded.serviceId);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Middleware to reject sensitive account actions unless the user logged in themselves
+// (not while an admin is impersonating them, nor with a personal access token)
+exports.blockDelegatedAccess = (req, res, next) => {
+  if (req.impersonator) {
+    return next(new APIError('This action is not allowed while impersonating a user.', 403));
+  }
+  
+  if (req.personalAccessToken) {
+    return next(new APIError('This action is not allowed with a personal access token.', 403));
+  }
+  
+  next();
+};
+
+// Middleware to authenticate a service by client credentials access token or API key and secret
+exports.authenticateService = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    let service;
+    
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      // Verify a token issued by the client_credentials grant
+      const decoded = await verifyToken(authHeader.split(' ')[1]);
+      
+      if (decoded.purpose !== 'service') {
+        return next(new APIError('A service access token is required.', 401));
+      }
+      
+      // Check if the token has been revoked
+      if (decoded.jti && await RevokedToken.isRevoked(decoded.jti)) {
+        return next(new APIError('Token has been revoked.', 401));
+      }
+      
+      service = await Service.findById(decoded.serviceId);
       
       if (!service) {
         return next(new APIError('Service not found or token is invalid.', 401));
       }
       
-      // Check if service is active
-      if (!service.active) {
-        return next(new APIError('Service is not active.', 403));
+      req.tokenClaims = decoded;
+    } else if (req.headers['x-signature']) {
+      // Verify a request signed with HMAC, so the API secret is not sent
+      const apiKey = req.headers['x-api-key'];
+      
+      if (!apiKey) {
+        return next(new APIError('Signed requests require an X-API-Key header.', 401));
       }
       
-      // Attach service to request object
-      req.service = service;
+      service = await Service.findOne({ apiKey }).select('+signingSecret');
       
-      // Find user's relationship with the service
-      const userService = await UserService.findOne({
-        userId: user._id,
-        serviceId: service._id
-      }).populate('roles');
+      if (!service) {
+        return next(new APIError('Invalid API key.', 401));
+      }
       
-      if (!userService) {
-        return next(new APIError('User does not have access to this service.', 403));
+      const signatureError = await verifyRequestSignature(req, service);
+      
+      if (signatureError) {
+        return next(signatureError);
       }
+    } else {
+      // Get API key and secret from headers
+      const apiKey = req.headers['x-api-key'];
+      const apiSecret = req.headers['x-api-secret'];
       
-      // Check if user's service relationship is active
-      if (userService.status !== 'active') {
-        return next(new APIError('User access to this service is not active.', 403));
+      if (!apiKey || !apiSecret) {
+        return next(new APIError('Service authentication required. Please provide an access token, a signed request or API key and secret.', 401));
       }
       
-      // Attach user's roles and service relationship to request
-      req.userService = userService;
-      req.userRoles = userService.roles;
-    } else {
-      // If no service is specified, use global roles
-      const globalRoles = await Role.find({
-        _id: { $in: await UserService.distinct('roles', { userId: user._id }) },
-        isGlobal: true
-      });
+      // Find service by API key
+      service = await Service.findOne({ apiKey }).select('+apiSecret');
       
-      req.userRoles = globalRoles;
-    }
-    
-    next();
-  } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return next(new APIError('Invalid token.', 401));
-    } else if (error.name === 'TokenExpiredError') {
-      return next(new APIError('Token expired.', 401));
-    }
-    
-    next(error);
-  }
-};
-
-// Middleware to authenticate service API key and secret
-exports.authenticateService = async (req, res, next) => {
-  try {
-    // Get API key and secret from headers
-    const apiKey = req.headers['x-api-key'];
-    const apiSecret = req.headers['x-api-secret'];
-    
-    if (!apiKey || !apiSecret) {
-      return next(new APIError('Service authentication required. Please provide API key and secret.', 401));
-    }
-    
-    // Find service by API key
-    const service = await Service.findOne({ apiKey }).select('+apiSecret');
-    
-    if (!service) {
-      return next(new APIError('Invalid API key.', 401));
-    }
-    
-    // Validate API secret
-    const isValidSecret = service.apiSecret === apiSecret;
-    
-    if (!isValidSecret) {
-      return next(new APIError('Invalid API secret.', 401));
+      if (!service) {
+        return next(new APIError('Invalid API key.', 401));
+      }
+      
+      // Services can require that their secret is never sent in headers
+      if (service.config && service.config.requireSignedRequests) {
+        return next(new APIError('This service only accepts signed requests.', 401));
+      }
+      
+      // Validate API secret (compared in constant time against its hash)
+      if (!service.verifyApiSecret(apiSecret)) {
+        return next(new APIError('Invalid API secret.', 401));
+      }
     }
     
     // Check if service is active
@@ -129,6 +146,12 @@ exports.authenticateService = async (req, res, next) => {
     
     next();
   } catch (error) {
+    if (error.name === 'JsonWebTokenError') {
+      return next(new APIError('Invalid token.', 401));
+    } else if (error.name === 'TokenExpiredError') {
+      return next(new APIError('Token expired.', 401));
+    }
+    
     next(error);
   }
 };
@@ -142,6 +165,11 @@ exports.hasPermission = (permission) => {
         return next(new APIError('User roles not found.', 500));
       }
       
+      // Personal access tokens only grant the permissions they were scoped to
+      if (req.personalAccessToken && !req.personalAccessToken.scopes.includes(permission)) {
+        return next(new APIError(`Access denied. Token is not scoped for permission: ${permission}`, 403));
+      }
+      
       // Check if user has admin role (has all permissions)
       const isAdmin = req.userRoles.some(role => role.name === 'admin');
       
@@ -174,6 +202,11 @@ exports.hasRole = (roleName) => {
         return next(new APIError('User roles not found.', 500));
       }
       
+      // Personal access tokens are scoped to permissions, so they never satisfy a role check
+      if (req.personalAccessToken) {
+        return next(new APIError(`Access denied. Role ${roleName} cannot be used with a personal access token.`, 403));
+      }
+      
       // Check if user has the required role
       const hasRole = req.userRoles.some(role => role.name === roleName);
       
@@ -198,34 +231,8 @@ exports.authenticateRefreshToken = async (req, res, next) => {
       return next(new APIError('Refresh token is required.', 400));
     }
     
-    // Find the token in database
-    const tokenDoc = await Token.findOne({
-      token: refreshToken,
-      type: 'refresh'
-    });
-    
-    if (!tokenDoc) {
-      return next(new APIError('Invalid refresh token.', 401));
-    }
-    
-    // Check if token is expired
-    if (tokenDoc.isExpired()) {
-      await tokenDoc.delete();
-      return next(new APIError('Refresh token expired.', 401));
-    }
-    
-    // Check if user exists
-    const user = await User.findById(tokenDoc.userId);
-    
-    if (!user) {
-      await tokenDoc.delete();
-      return next(new APIError('User not found.', 401));
-    }
-    
-    // Check if user is active
-    if (user.status !== 'active') {
-      return next(new APIError('User account is not active.', 403));
-    }
+    // Validate the token and claim it for rotation
+    const { tokenDoc, user } = await consumeRefreshToken(req, refreshToken);
     
     // Attach user and token to request
     req.user = user;
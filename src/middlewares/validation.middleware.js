@@ -1,5 +1,6 @@
 const Joi = require('joi');
 const { APIError } = require('../utils/error.handler');
+const { getMaxLifetimes } = require('../config/token.config');
 
 // Middleware to validate request body against a Joi schema
 const validateRequest = (schema) => {
@@ -49,17 +50,12 @@ const userRegisterSchema = Joi.object({
       'any.required': 'Email is required'
     }),
   
+  // Strength rules come from the password policy (see utils/passwordPolicy)
   password: Joi.string()
-    .min(8)
-    .max(30)
-    .pattern(new RegExp('^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)[a-zA-Z\\d@$!%*?&]{8,}$'))
     .required()
     .messages({
       'string.base': 'Password must be a string',
       'string.empty': 'Password cannot be empty',
-      'string.min': 'Password must be at least {#limit} characters long',
-      'string.max': 'Password must be at most {#limit} characters long',
-      'string.pattern.base': 'Password must contain at least one uppercase letter, one lowercase letter, and one number',
       'any.required': 'Password is required'
     }),
   
@@ -101,7 +97,16 @@ const userRegisterSchema = Joi.object({
       theme: Joi.string().default('light'),
       notifications: Joi.boolean().default(true)
     }).default()
-  }).default()
+  }).default(),
+  
+  // Service whose email templates are used for the verification email
+  serviceId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .allow(null, '')
+    .messages({
+      'string.base': 'Service ID must be a string',
+      'string.pattern.base': 'Service ID must be a valid MongoDB ObjectId'
+    })
 });
 
 // Schema for user login
@@ -162,6 +167,30 @@ const userUpdateSchema = Joi.object({
   })
 });
 
+// Schema for an admin updating a user (profile fields plus email, status and verification)
+const adminUserUpdateSchema = userUpdateSchema.keys({
+  // A new email address still has to be confirmed by the user
+  email: Joi.string()
+    .email()
+    .messages({
+      'string.base': 'Email must be a string',
+      'string.empty': 'Email cannot be empty',
+      'string.email': 'Email must be a valid email address'
+    }),
+  
+  status: Joi.string()
+    .valid('active', 'suspended', 'pending')
+    .messages({
+      'string.base': 'Status must be a string',
+      'any.only': 'Status must be one of active, suspended or pending'
+    }),
+  
+  isEmailVerified: Joi.boolean()
+    .messages({
+      'boolean.base': 'Email verified must be a boolean'
+    })
+});
+
 // Schema for changing password
 const changePasswordSchema = Joi.object({
   currentPassword: Joi.string()
@@ -172,17 +201,42 @@ const changePasswordSchema = Joi.object({
       'any.required': 'Current password is required'
     }),
   
+  // Strength rules come from the password policy (see utils/passwordPolicy)
+  newPassword: Joi.string()
+    .required()
+    .messages({
+      'string.base': 'New password must be a string',
+      'string.empty': 'New password cannot be empty',
+      'any.required': 'New password is required'
+    }),
+  
+  confirmPassword: Joi.string()
+    .valid(Joi.ref('newPassword'))
+    .required()
+    .messages({
+      'string.base': 'Confirm password must be a string',
+      'string.empty': 'Confirm password cannot be empty',
+      'any.only': 'Passwords do not match',
+      'any.required': 'Confirm password is required'
+    })
+});
+
+// Schema for changing an expired password with a password change token
+const expiredPasswordChangeSchema = Joi.object({
+  passwordChangeToken: Joi.string()
+    .required()
+    .messages({
+      'string.base': 'Password change token must be a string',
+      'string.empty': 'Password change token cannot be empty',
+      'any.required': 'Password change token is required'
+    }),
+  
+  // Strength rules come from the password policy (see utils/passwordPolicy)
   newPassword: Joi.string()
-    .min(8)
-    .max(30)
-    .pattern(new RegExp('^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)[a-zA-Z\\d@$!%*?&]{8,}$'))
     .required()
     .messages({
       'string.base': 'New password must be a string',
       'string.empty': 'New password cannot be empty',
-      'string.min': 'New password must be at least {#limit} characters long',
-      'string.max': 'New password must be at most {#limit} characters long',
-      'string.pattern.base': 'New password must contain at least one uppercase letter, one lowercase letter, and one number',
       'any.required': 'New password is required'
     }),
   
@@ -197,6 +251,366 @@ const changePasswordSchema = Joi.object({
     })
 });
 
+// Schema for requesting a magic login link
+const magicLinkRequestSchema = Joi.object({
+  email: Joi.string()
+    .email()
+    .required()
+    .messages({
+      'string.base': 'Email must be a string',
+      'string.empty': 'Email cannot be empty',
+      'string.email': 'Email must be a valid email address',
+      'any.required': 'Email is required'
+    }),
+  
+  serviceId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .allow(null, '')
+    .messages({
+      'string.base': 'Service ID must be a string',
+      'string.pattern.base': 'Service ID must be a valid MongoDB ObjectId'
+    })
+});
+
+// Schema for redeeming a magic login link
+const magicLinkVerifySchema = Joi.object({
+  token: Joi.string()
+    .hex()
+    .required()
+    .messages({
+      'string.base': 'Token must be a string',
+      'string.empty': 'Token cannot be empty',
+      'string.hex': 'Token is invalid',
+      'any.required': 'Token is required'
+    })
+});
+
+// Schema for requesting another verification email
+const resendVerificationSchema = Joi.object({
+  email: Joi.string()
+    .email()
+    .required()
+    .messages({
+      'string.base': 'Email must be a string',
+      'string.empty': 'Email cannot be empty',
+      'string.email': 'Email must be a valid email address',
+      'any.required': 'Email is required'
+    }),
+  
+  serviceId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .allow(null, '')
+    .messages({
+      'string.base': 'Service ID must be a string',
+      'string.pattern.base': 'Service ID must be a valid MongoDB ObjectId'
+    })
+});
+
+// Schema for requesting a password reset email
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string()
+    .email()
+    .required()
+    .messages({
+      'string.base': 'Email must be a string',
+      'string.empty': 'Email cannot be empty',
+      'string.email': 'Email must be a valid email address',
+      'any.required': 'Email is required'
+    }),
+  
+  serviceId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .allow(null, '')
+    .messages({
+      'string.base': 'Service ID must be a string',
+      'string.pattern.base': 'Service ID must be a valid MongoDB ObjectId'
+    })
+});
+
+// Schema for resetting a password with an emailed reset token
+const passwordResetSchema = Joi.object({
+  // Strength rules come from the password policy (see utils/passwordPolicy)
+  password: Joi.string()
+    .required()
+    .messages({
+      'string.base': 'Password must be a string',
+      'string.empty': 'Password cannot be empty',
+      'any.required': 'Password is required'
+    })
+});
+
+// Schema for resetting a password with a username and recovery code
+const recoveryCodeResetSchema = Joi.object({
+  username: Joi.string()
+    .required()
+    .messages({
+      'string.base': 'Username must be a string',
+      'string.empty': 'Username cannot be empty',
+      'any.required': 'Username is required'
+    }),
+  
+  recoveryCode: Joi.string()
+    .required()
+    .messages({
+      'string.base': 'Recovery code must be a string',
+      'string.empty': 'Recovery code cannot be empty',
+      'any.required': 'Recovery code is required'
+    }),
+  
+  // Strength rules come from the password policy (see utils/passwordPolicy)
+  password: Joi.string()
+    .required()
+    .messages({
+      'string.base': 'Password must be a string',
+      'string.empty': 'Password cannot be empty',
+      'any.required': 'Password is required'
+    })
+});
+
+// Schema for requesting an email address change
+const emailChangeSchema = Joi.object({
+  newEmail: Joi.string()
+    .email()
+    .required()
+    .messages({
+      'string.base': 'New email must be a string',
+      'string.empty': 'New email cannot be empty',
+      'string.email': 'New email must be a valid email address',
+      'any.required': 'New email is required'
+    }),
+  
+  password: Joi.string()
+    .required()
+    .messages({
+      'string.base': 'Password must be a string',
+      'string.empty': 'Password cannot be empty',
+      'any.required': 'Password is required'
+    })
+});
+
+// Schema for exchanging a token for another service context
+const tokenExchangeSchema = Joi.object({
+  serviceId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .allow(null)
+    .default(null)
+    .messages({
+      'string.base': 'Service ID must be a string',
+      'string.pattern.base': 'Service ID must be a valid MongoDB ObjectId'
+    })
+});
+
+// Schema for a TOTP code (MFA confirm)
+const mfaCodeSchema = Joi.object({
+  code: Joi.string()
+    .pattern(/^\d{6}$/)
+    .required()
+    .messages({
+      'string.base': 'Code must be a string',
+      'string.empty': 'Code cannot be empty',
+      'string.pattern.base': 'Code must be a 6-digit number',
+      'any.required': 'Code is required'
+    })
+});
+
+// Schema for completing login with an MFA code
+const mfaVerifySchema = Joi.object({
+  mfaToken: Joi.string()
+    .required()
+    .messages({
+      'string.base': 'MFA token must be a string',
+      'string.empty': 'MFA token cannot be empty',
+      'any.required': 'MFA token is required'
+    }),
+  
+  code: Joi.string()
+    .pattern(/^\d{6}$/)
+    .required()
+    .messages({
+      'string.base': 'Code must be a string',
+      'string.empty': 'Code cannot be empty',
+      'string.pattern.base': 'Code must be a 6-digit number',
+      'any.required': 'Code is required'
+    })
+});
+
+// Schema for disabling MFA
+const mfaDisableSchema = Joi.object({
+  password: Joi.string()
+    .required()
+    .messages({
+      'string.base': 'Password must be a string',
+      'string.empty': 'Password cannot be empty',
+      'any.required': 'Password is required'
+    }),
+  
+  code: Joi.string()
+    .pattern(/^\d{6}$/)
+    .required()
+    .messages({
+      'string.base': 'Code must be a string',
+      'string.empty': 'Code cannot be empty',
+      'string.pattern.base': 'Code must be a 6-digit number',
+      'any.required': 'Code is required'
+    })
+});
+
+// Schema for (re)generating recovery codes
+const recoveryCodesSchema = Joi.object({
+  password: Joi.string()
+    .required()
+    .messages({
+      'string.base': 'Password must be a string',
+      'string.empty': 'Password cannot be empty',
+      'any.required': 'Password is required'
+    })
+});
+
+// Schema for creating a personal access token
+const personalAccessTokenSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .max(100)
+    .required()
+    .messages({
+      'string.base': 'Name must be a string',
+      'string.empty': 'Name cannot be empty',
+      'string.max': 'Name must be at most {#limit} characters long',
+      'any.required': 'Name is required'
+    }),
+  
+  scopes: Joi.array()
+    .items(Joi.string().trim().max(100))
+    .max(50)
+    .default([])
+    .messages({
+      'array.base': 'Scopes must be an array',
+      'array.max': 'At most {#limit} scopes are allowed'
+    }),
+  
+  serviceId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .allow(null, '')
+    .messages({
+      'string.base': 'Service ID must be a string',
+      'string.pattern.base': 'Service ID must be a valid MongoDB ObjectId'
+    }),
+  
+  expiresInDays: Joi.number()
+    .integer()
+    .min(1)
+    .default(30)
+    .messages({
+      'number.base': 'expiresInDays must be a number',
+      'number.integer': 'expiresInDays must be a whole number',
+      'number.min': 'expiresInDays must be at least {#limit}'
+    })
+});
+
+// Schema for admin-assisted account recovery
+const accountRecoverySchema = Joi.object({
+  reason: Joi.string()
+    .trim()
+    .min(10)
+    .max(500)
+    .required()
+    .messages({
+      'string.base': 'Reason must be a string',
+      'string.empty': 'Reason cannot be empty',
+      'string.min': 'Reason must be at least {#limit} characters long',
+      'string.max': 'Reason must be at most {#limit} characters long',
+      'any.required': 'Reason is required'
+    }),
+  
+  resetMfa: Joi.boolean()
+    .default(false)
+    .messages({
+      'boolean.base': 'resetMfa must be a boolean'
+    })
+});
+
+// Schema for an admin starting to impersonate a user
+const impersonationSchema = Joi.object({
+  reason: Joi.string()
+    .trim()
+    .min(10)
+    .max(500)
+    .required()
+    .messages({
+      'string.base': 'Reason must be a string',
+      'string.empty': 'Reason cannot be empty',
+      'string.min': 'Reason must be at least {#limit} characters long',
+      'string.max': 'Reason must be at most {#limit} characters long',
+      'any.required': 'Reason is required'
+    }),
+  
+  serviceId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .allow(null, '')
+    .messages({
+      'string.base': 'Service ID must be a string',
+      'string.pattern.base': 'Service ID must be a valid MongoDB ObjectId'
+    })
+});
+
+// Schema for passkey registration verification
+const passkeyRegisterSchema = Joi.object({
+  response: Joi.object()
+    .required()
+    .messages({
+      'object.base': 'Response must be an object',
+      'any.required': 'Response is required'
+    }),
+  
+  name: Joi.string()
+    .max(50)
+    .allow('', null)
+    .messages({
+      'string.base': 'Name must be a string',
+      'string.max': 'Name must be at most {#limit} characters long'
+    })
+});
+
+// Schema for passkey login verification
+const passkeyLoginSchema = Joi.object({
+  response: Joi.object({
+    id: Joi.string().required(),
+    response: Joi.object({
+      clientDataJSON: Joi.string().required()
+    }).unknown(true).required()
+  })
+    .unknown(true)
+    .required()
+    .messages({
+      'object.base': 'Response must be an object',
+      'any.required': 'Response is required'
+    }),
+  
+  serviceId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .allow(null, '')
+    .messages({
+      'string.base': 'Service ID must be a string',
+      'string.pattern.base': 'Service ID must be a valid MongoDB ObjectId'
+    })
+});
+
+// Schema for a service token or session lifetime (seconds), bounded by the global maximum
+const lifetimeSchema = (name, label) => Joi.number()
+  .integer()
+  .min(300) // Minimum 5 minutes (300 seconds)
+  .allow(null)
+  .custom((value, helpers) => {
+    const max = getMaxLifetimes()[name];
+    return value > max ? helpers.error('number.max', { limit: max }) : value;
+  })
+  .messages({
+    'number.base': `${label} must be a number`,
+    'number.integer': `${label} must be an integer`,
+    'number.min': `${label} must be at least {#limit} seconds`,
+    'number.max': `${label} must be at most {#limit} seconds`
+  });
+
 // Schema for creating or updating a service
 const serviceSchema = Joi.object({
   name: Joi.string()
@@ -248,26 +662,92 @@ const serviceSchema = Joi.object({
       .items(Joi.string())
       .default([]),
     
-    tokenExpiration: Joi.number()
-      .integer()
-      .min(300) // Minimum 5 minutes (300 seconds)
-      .default(3600), // Default 1 hour (3600 seconds)
+    // Token and session lifetimes in seconds (null: use the global default)
+    tokenExpiration: lifetimeSchema('accessToken', 'Access token lifetime'),
+    
+    refreshTokenExpiration: lifetimeSchema('refreshToken', 'Refresh token lifetime'),
     
+    sessionIdleTimeout: lifetimeSchema('idleTimeout', 'Session idle timeout'),
+    
+    sessionAbsoluteTimeout: lifetimeSchema('absoluteTimeout', 'Session absolute timeout'),
+    
+    // Services can only make the baseline policy stricter
     passwordPolicy: Joi.object({
       minLength: Joi.number()
         .integer()
         .min(6)
+        .max(128)
         .default(8),
       
+      requireUppercase: Joi.boolean()
+        .default(false),
+      
+      requireLowercase: Joi.boolean()
+        .default(false),
+      
       requireNumbers: Joi.boolean()
         .default(true),
       
       requireSymbols: Joi.boolean()
+        .default(false),
+      
+      // Up to 24 previous passwords are kept per user
+      historySize: Joi.number()
+        .integer()
+        .min(0)
+        .max(24)
+        .default(0),
+      
+      maxAgeDays: Joi.number()
+        .integer()
+        .min(0)
+        .default(0),
+      
+      rejectBreached: Joi.boolean()
+        .default(false),
+      
+      rejectPersonalInfo: Joi.boolean()
         .default(false)
-    }).default()
+    }).default(),
+    
+    // Only accept HMAC-signed service API requests, not API secret headers
+    requireSignedRequests: Joi.boolean()
+      .default(false)
   }).default()
 });
 
+// Schema for a service's version of an email template
+const emailTemplateSchema = Joi.object({
+  subject: Joi.string()
+    .max(200)
+    .required()
+    .messages({
+      'string.base': 'Subject must be a string',
+      'string.empty': 'Subject cannot be empty',
+      'string.max': 'Subject must be at most {#limit} characters long',
+      'any.required': 'Subject is required'
+    }),
+  
+  text: Joi.string()
+    .max(20000)
+    .required()
+    .messages({
+      'string.base': 'Text body must be a string',
+      'string.empty': 'Text body cannot be empty',
+      'string.max': 'Text body must be at most {#limit} characters long',
+      'any.required': 'Text body is required'
+    }),
+  
+  html: Joi.string()
+    .max(50000)
+    .allow('')
+    .default('')
+    .messages({
+      'string.base': 'HTML body must be a string',
+      'string.max': 'HTML body must be at most {#limit} characters long'
+    })
+});
+
 // Schema for creating or updating a role
 const roleSchema = Joi.object({
   name: Joi.string()
@@ -350,6 +830,30 @@ const userServiceSchema = Joi.object({
     .default({})
 });
 
+// Schema for a service replacing a user's roles in that service
+const serviceUserRolesSchema = Joi.object({
+  roles: Joi.array()
+    .items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/))
+    .unique()
+    .required()
+    .messages({
+      'array.base': 'Roles must be an array',
+      'array.unique': 'Roles must not contain duplicates',
+      'string.pattern.base': 'Role ID must be a valid MongoDB ObjectId',
+      'any.required': 'Roles are required'
+    })
+});
+
+// Schema for a service updating a user's custom data
+const serviceUserCustomDataSchema = Joi.object({
+  customData: Joi.object()
+    .required()
+    .messages({
+      'object.base': 'Custom data must be an object',
+      'any.required': 'Custom data is required'
+    })
+});
+
 // Export schemas and validation middleware
 module.exports = {
   validateRequest,
@@ -357,9 +861,31 @@ module.exports = {
     userRegister: userRegisterSchema,
     userLogin: userLoginSchema,
     userUpdate: userUpdateSchema,
+    adminUserUpdate: adminUserUpdateSchema,
     changePassword: changePasswordSchema,
+    expiredPasswordChange: expiredPasswordChangeSchema,
+    magicLinkRequest: magicLinkRequestSchema,
+    magicLinkVerify: magicLinkVerifySchema,
+    resendVerification: resendVerificationSchema,
+    forgotPassword: forgotPasswordSchema,
+    passwordReset: passwordResetSchema,
+    recoveryCodeReset: recoveryCodeResetSchema,
+    emailChange: emailChangeSchema,
+    tokenExchange: tokenExchangeSchema,
+    mfaCode: mfaCodeSchema,
+    mfaVerify: mfaVerifySchema,
+    mfaDisable: mfaDisableSchema,
+    recoveryCodes: recoveryCodesSchema,
+    personalAccessToken: personalAccessTokenSchema,
+    accountRecovery: accountRecoverySchema,
+    impersonation: impersonationSchema,
+    passkeyRegister: passkeyRegisterSchema,
+    passkeyLogin: passkeyLoginSchema,
     service: serviceSchema,
+    emailTemplate: emailTemplateSchema,
     role: roleSchema,
-    userService: userServiceSchema
+    userService: userServiceSchema,
+    serviceUserRoles: serviceUserRolesSchema,
+    serviceUserCustomData: serviceUserCustomDataSchema
   }
 };
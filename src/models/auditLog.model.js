@@ -11,6 +11,11 @@ const auditLogSchema = new mongoose.Schema({
     ref: 'Service',
     default: null // Can be null for global actions
   },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // Admin who performed the action while impersonating userId
+  },
   action: {
     type: String,
     required: [true, 'Action is required'],
@@ -39,17 +44,19 @@ const auditLogSchema = new mongoose.Schema({
 // Indexes for efficient queries
 auditLogSchema.index({ userId: 1 });
 auditLogSchema.index({ serviceId: 1 });
+auditLogSchema.index({ actorId: 1 });
 auditLogSchema.index({ timestamp: -1 }); // Descending for most recent first
 auditLogSchema.index({ action: 1, userId: 1 });
 auditLogSchema.index({ action: 1, serviceId: 1 });
 
 // Static method to log an action
 auditLogSchema.statics.logAction = async function(action, details = {}, options = {}) {
-  const { userId, serviceId, ipAddress = '', userAgent = '' } = options;
+  const { userId, serviceId, actorId = null, ipAddress = '', userAgent = '' } = options;
   
   return this.create({
     userId,
     serviceId,
+    actorId,
     action,
     details,
     ipAddress,
@@ -4,6 +4,12 @@ const Service = require('./service.model');
 const UserService = require('./userService.model');
 const Token = require('./token.model');
 const AuditLog = require('./auditLog.model');
+const Passkey = require('./passkey.model');
+const RevokedToken = require('./revokedToken.model');
+const SigningKey = require('./signingKey.model');
+const MailMessage = require('./mailMessage.model');
+const PersonalAccessToken = require('./personalAccessToken.model');
+const RequestNonce = require('./requestNonce.model');
 
 module.exports = {
   User,
@@ -11,5 +17,11 @@ module.exports = {
   Service,
   UserService,
   Token,
-  AuditLog
+  AuditLog,
+  Passkey,
+  RevokedToken,
+  SigningKey,
+  MailMessage,
+  PersonalAccessToken,
+  RequestNonce
 };
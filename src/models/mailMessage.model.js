@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+const mailMessageSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: [true, 'Recipient is required'],
+    trim: true,
+    lowercase: true
+  },
+  template: {
+    type: String,
+    required: [true, 'Template is required']
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required']
+  },
+  text: {
+    type: String,
+    default: '' // Cleared once sent, since bodies may contain single-use links
+  },
+  html: {
+    type: String,
+    default: ''
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: '30d' // Automatically remove messages after 30 days
+  }
+});
+
+// Index for efficient queue polling
+mailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+mailMessageSchema.index({ userId: 1 });
+
+// Static method to claim the next due message for sending
+mailMessageSchema.statics.claimNext = function() {
+  return this.findOneAndUpdate(
+    { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+    { $set: { status: 'sending', lockedAt: new Date() }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+// Static method to release messages left in "sending" by a crashed worker
+mailMessageSchema.statics.releaseStale = function(olderThanMinutes = 5) {
+  return this.updateMany(
+    { status: 'sending', lockedAt: { $lt: new Date(Date.now() - olderThanMinutes * 60 * 1000) } },
+    { $set: { status: 'pending', lockedAt: null } }
+  );
+};
+
+// Method to mark the message as sent
+mailMessageSchema.methods.markSent = function() {
+  this.status = 'sent';
+  this.sentAt = new Date();
+  this.lockedAt = null;
+  this.lastError = null;
+  this.text = '';
+  this.html = '';
+  return this.save();
+};
+
+// Method to record a failed attempt and schedule a retry with exponential backoff
+mailMessageSchema.methods.markFailed = function(error, retryBaseSeconds = 30) {
+  this.lastError = error.message || String(error);
+  this.lockedAt = null;
+  
+  if (this.attempts >= this.maxAttempts) {
+    this.status = 'failed';
+    this.text = '';
+    this.html = '';
+  } else {
+    this.status = 'pending';
+    this.nextAttemptAt = new Date(Date.now() + retryBaseSeconds * Math.pow(2, this.attempts - 1) * 1000);
+  }
+  
+  return this.save();
+};
+
+const MailMessage = mongoose.model('MailMessage', mailMessageSchema);
+
+module.exports = MailMessage;
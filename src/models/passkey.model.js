@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const passkeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  credentialId: {
+    type: String, // base64url-encoded credential ID
+    required: [true, 'Credential ID is required'],
+    unique: true
+  },
+  publicKey: {
+    type: String, // base64url-encoded COSE public key
+    required: [true, 'Public key is required']
+  },
+  counter: {
+    type: Number,
+    default: 0
+  },
+  transports: {
+    type: [String],
+    default: []
+  },
+  deviceType: {
+    type: String,
+    enum: ['singleDevice', 'multiDevice'],
+    default: 'singleDevice'
+  },
+  backedUp: {
+    type: Boolean,
+    default: false
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Passkey name must be at most 50 characters long'],
+    default: 'Passkey'
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.publicKey;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      delete ret.publicKey;
+      return ret;
+    }
+  }
+});
+
+// Indexes for efficient queries
+passkeySchema.index({ credentialId: 1 }, { unique: true });
+passkeySchema.index({ userId: 1 });
+
+const Passkey = mongoose.model('Passkey', passkeySchema);
+
+module.exports = Passkey;
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Prefix that identifies personal access tokens (JWTs never start with it)
+const TOKEN_PREFIX = 'toc_pat_';
+
+const personalAccessTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name must be at most 100 characters long']
+  },
+  tokenHash: {
+    type: String, // SHA-256 of the token; the token itself is only shown once
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+  tokenPrefix: {
+    type: String, // Start of the token, to help users recognise it
+    required: [true, 'Token prefix is required']
+  },
+  scopes: {
+    type: [String], // Permissions the token grants, a subset of the user's own
+    default: []
+  },
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    default: null // Null for a token that uses the user's global roles
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiration date is required']
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.tokenHash;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      delete ret.tokenHash;
+      return ret;
+    }
+  }
+});
+
+// Indexes for efficient queries
+personalAccessTokenSchema.index({ tokenHash: 1 }, { unique: true });
+personalAccessTokenSchema.index({ userId: 1 });
+// Remove tokens once they have expired
+personalAccessTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to check whether a bearer token is a personal access token
+personalAccessTokenSchema.statics.isPersonalAccessToken = function(token) {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+};
+
+// Static method to hash a token for storage and lookup
+personalAccessTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to create a token; returns { tokenDoc, token } (the plain token is not stored)
+personalAccessTokenSchema.statics.generate = async function(userId, { name, scopes = [], serviceId = null, expiresAt }) {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+  const tokenDoc = await this.create({
+    userId,
+    name,
+    tokenHash: this.hashToken(token),
+    tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    scopes,
+    serviceId,
+    expiresAt
+  });
+
+  return { tokenDoc, token };
+};
+
+// Static method to find the token document for a presented token
+personalAccessTokenSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: this.hashToken(token) });
+};
+
+// Method to check if token is expired
+personalAccessTokenSchema.methods.isExpired = function() {
+  return this.expiresAt < new Date();
+};
+
+// Method to record that the token was used (at most once a minute, to limit writes)
+personalAccessTokenSchema.methods.recordUse = function() {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < 60 * 1000) {
+    return Promise.resolve(this);
+  }
+
+  this.lastUsedAt = new Date();
+  return this.constructor.updateOne({ _id: this._id }, { $set: { lastUsedAt: this.lastUsedAt } });
+};
+
+const PersonalAccessToken = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
+
+module.exports = PersonalAccessToken;
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const requestNonceSchema = new mongoose.Schema({
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: [true, 'Service ID is required']
+  },
+  nonce: {
+    type: String,
+    required: [true, 'Nonce is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiration date is required']
+  }
+});
+
+// A nonce can only be used once per service
+requestNonceSchema.index({ serviceId: 1, nonce: 1 }, { unique: true });
+// Remove nonces once their signed requests would be rejected as too old anyway
+requestNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to record a nonce; resolves to false if it was already used
+requestNonceSchema.statics.claim = async function(serviceId, nonce, expiresAt) {
+  try {
+    await this.create({ serviceId, nonce, expiresAt });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+const RequestNonce = mongoose.model('RequestNonce', requestNonceSchema);
+
+module.exports = RequestNonce;
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: [true, 'Token ID (jti) is required'],
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiration date is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+revokedTokenSchema.index({ jti: 1 }, { unique: true });
+// Remove entries once the revoked token would have expired anyway
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to revoke an access token by its jti
+revokedTokenSchema.statics.revoke = function(jti, userId = null, expiresAt = null, reason = '') {
+  return this.findOneAndUpdate(
+    { jti },
+    {
+      jti,
+      userId,
+      reason,
+      // Fall back to the longest access token lifetime we issue
+      expiresAt: expiresAt || new Date(Date.now() + 24 * 60 * 60 * 1000)
+    },
+    { upsert: true, new: true }
+  );
+};
+
+// Static method to check if an access token has been revoked
+revokedTokenSchema.statics.isRevoked = async function(jti) {
+  const count = await this.countDocuments({ jti });
+  return count > 0;
+};
+
+const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+
+module.exports = RevokedToken;
@@ -43,7 +43,7 @@ roleSchema.statics.createDefaultRoles = async function() {
       description: 'System administrator with full access',
       isGlobal: true,
       serviceId: null,
-      permissions: ['user:read', 'user:write', 'user:delete', 'role:read', 'role:write', 'service:read', 'service:write']
+      permissions: ['user:read', 'user:write', 'user:delete', 'user:impersonate', 'user:recover', 'role:read', 'role:write', 'service:read', 'service:write']
     },
     {
       name: 'user',
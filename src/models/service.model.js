@@ -1,5 +1,55 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const { encrypt, decrypt } = require('../utils/encryption');
+
+// API secrets are stored as "sha256$<hex digest>"; services created earlier may still hold the plain secret
+const SECRET_HASH_PREFIX = 'sha256$';
+
+// Generate a new API secret (returned to the caller once, never stored)
+const generateApiSecret = () => `toc_${crypto.randomBytes(32).toString('hex')}`;
+
+// Generate a new request signing secret (returned to the caller once, stored encrypted)
+const generateSigningSecret = () => `toc_sig_${crypto.randomBytes(32).toString('hex')}`;
+
+// SHA-256 hex digest of a secret (API secrets are random, so a fast hash is sufficient)
+const digestApiSecret = (secret) => crypto.createHash('sha256').update(String(secret)).digest('hex');
+
+// Compare two strings in constant time
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+// Service-specific version of a default email template in one language
+const emailTemplateSchema = new mongoose.Schema({
+  template: {
+    type: String,
+    enum: ['email_verification', 'password_reset', 'magic_login', 'email_change', 'email_change_notice'],
+    required: [true, 'Template name is required']
+  },
+  language: {
+    type: String,
+    required: [true, 'Language is required'],
+    trim: true,
+    lowercase: true
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required']
+  },
+  text: {
+    type: String,
+    required: [true, 'Text body is required']
+  },
+  html: {
+    type: String,
+    default: ''
+  }
+}, {
+  _id: false,
+  timestamps: true
+});
 
 const serviceSchema = new mongoose.Schema({
   name: {
@@ -26,10 +76,13 @@ const serviceSchema = new mongoose.Schema({
   },
   apiSecret: {
     type: String,
-    select: false, // API secret will not be returned in queries by default
-    default: function() {
-      return `toc_${require('crypto').randomBytes(16).toString('hex')}`;
-    }
+    select: false, // Hash of the API secret; never returned in queries by default
+    default: generateApiSecret // Hashed by the pre-save hook
+  },
+  signingSecret: {
+    type: String,
+    select: false, // Key for HMAC request signatures, encrypted with ENCRYPTION_KEY
+    default: null
   },
   callbackUrl: {
     type: String,
@@ -39,20 +92,47 @@ const serviceSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Overrides for the verification, password reset and login link emails
+  emailTemplates: {
+    type: [emailTemplateSchema],
+    default: []
+  },
   config: {
     allowedOrigins: {
       type: [String],
       default: []
     },
+    // Token and session lifetimes in seconds (null: use the global default)
     tokenExpiration: {
       type: Number,
-      default: 3600 // 1 hour in seconds
+      default: null // Access token lifetime
+    },
+    refreshTokenExpiration: {
+      type: Number,
+      default: null
+    },
+    sessionIdleTimeout: {
+      type: Number,
+      default: null
     },
+    sessionAbsoluteTimeout: {
+      type: Number,
+      default: null
+    },
+    // Combined with the baseline policy; the strictest value of each rule applies
     passwordPolicy: {
       minLength: {
         type: Number,
         default: 8
       },
+      requireUppercase: {
+        type: Boolean,
+        default: false
+      },
+      requireLowercase: {
+        type: Boolean,
+        default: false
+      },
       requireNumbers: {
         type: Boolean,
         default: true
@@ -60,7 +140,28 @@ const serviceSchema = new mongoose.Schema({
       requireSymbols: {
         type: Boolean,
         default: false
+      },
+      historySize: {
+        type: Number,
+        default: 0 // Previous passwords that can't be reused
+      },
+      maxAgeDays: {
+        type: Number,
+        default: 0 // 0: passwords don't expire
+      },
+      rejectBreached: {
+        type: Boolean,
+        default: false // Also enabled by the baseline policy
+      },
+      rejectPersonalInfo: {
+        type: Boolean,
+        default: false
       }
+    },
+    // Reject API key and secret headers; service API requests must be signed with HMAC
+    requireSignedRequests: {
+      type: Boolean,
+      default: false
     }
   }
 }, {
@@ -68,12 +169,14 @@ const serviceSchema = new mongoose.Schema({
   toJSON: {
     transform: function(doc, ret) {
       delete ret.apiSecret;
+      delete ret.signingSecret;
       return ret;
     }
   },
   toObject: {
     transform: function(doc, ret) {
       delete ret.apiSecret;
+      delete ret.signingSecret;
       return ret;
     }
   }
@@ -83,36 +186,69 @@ const serviceSchema = new mongoose.Schema({
 serviceSchema.index({ name: 1 }, { unique: true });
 serviceSchema.index({ apiKey: 1 }, { unique: true });
 
-// Pre-save hook to generate API key and secret if not provided
+// Pre-save hook to generate API key and secret if not provided, and to hash the secret
 serviceSchema.pre('save', function(next) {
-  // Only generate new API key and secret if they are not set (new service)
-  if (!this.isModified('apiKey') && !this.isModified('apiSecret')) {
-    return next();
-  }
-
   // Generate API key if not provided
   if (!this.apiKey) {
     this.apiKey = `toc_${this.name.toLowerCase().replace(/[^a-z0-9]/g, '_')}_${crypto.randomBytes(8).toString('hex')}`;
   }
 
-  // Generate API secret if not provided
-  if (!this.apiSecret) {
-    this.apiSecret = `toc_${crypto.randomBytes(16).toString('hex')}`;
+  // Only store a hash of a new (or not yet hashed) API secret
+  if (this.apiSecret && !this.apiSecret.startsWith(SECRET_HASH_PREFIX)) {
+    this.apiSecret = SECRET_HASH_PREFIX + digestApiSecret(this.apiSecret);
   }
 
   next();
 });
 
+// Static methods to generate new API and request signing secrets
+serviceSchema.statics.generateApiSecret = generateApiSecret;
+serviceSchema.statics.generateSigningSecret = generateSigningSecret;
+
+// Method to set the request signing secret (stored encrypted, since it is needed to verify signatures)
+serviceSchema.methods.setSigningSecret = function(signingSecret) {
+  this.signingSecret = encrypt(signingSecret);
+};
+
+// Method to get the key for HMAC request signatures, or null if the service has none
+// (requires the document to be loaded with +signingSecret)
+serviceSchema.methods.getRequestSigningKey = function() {
+  return this.signingSecret ? decrypt(this.signingSecret) : null;
+};
+
+// Method to check an API secret in constant time against its hash (requires the document to be loaded with +apiSecret)
+serviceSchema.methods.verifyApiSecret = function(apiSecret) {
+  if (!this.apiSecret || typeof apiSecret !== 'string') {
+    return false;
+  }
+
+  // Secrets stored in plain text by older versions are compared by digest too
+  const storedDigest = this.apiSecret.startsWith(SECRET_HASH_PREFIX)
+    ? this.apiSecret.slice(SECRET_HASH_PREFIX.length)
+    : digestApiSecret(this.apiSecret);
+
+  return safeEqual(digestApiSecret(apiSecret), storedDigest);
+};
+
 // Method to validate API key and secret
 serviceSchema.methods.validateApiCredentials = function(apiKey, apiSecret) {
-  return this.apiKey === apiKey && this.apiSecret === apiSecret;
+  const isValidKey = safeEqual(this.apiKey, apiKey);
+  const isValidSecret = this.verifyApiSecret(apiSecret);
+  return isValidKey && isValidSecret;
 };
 
-// Method to regenerate API key and secret
-serviceSchema.methods.regenerateCredentials = function() {
+// Method to regenerate API key, API secret and signing secret.
+// Resolves to { apiSecret, signingSecret }; neither is stored in plain text.
+serviceSchema.methods.regenerateCredentials = async function() {
+  const apiSecret = generateApiSecret();
+  const signingSecret = generateSigningSecret();
+
   this.apiKey = `toc_${this.name.toLowerCase().replace(/[^a-z0-9]/g, '_')}_${crypto.randomBytes(8).toString('hex')}`;
-  this.apiSecret = `toc_${crypto.randomBytes(16).toString('hex')}`;
-  return this.save();
+  this.apiSecret = apiSecret;
+  this.setSigningSecret(signingSecret);
+  await this.save();
+
+  return { apiSecret, signingSecret };
 };
 
 const Service = mongoose.model('Service', serviceSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const signingKeySchema = new mongoose.Schema({
+  kid: {
+    type: String,
+    required: [true, 'Key ID is required'],
+    unique: true
+  },
+  algorithm: {
+    type: String,
+    enum: ['RS256', 'ES256'],
+    required: [true, 'Algorithm is required']
+  },
+  publicKey: {
+    type: String, // PEM (SPKI)
+    required: [true, 'Public key is required']
+  },
+  privateKey: {
+    type: String, // Encrypted PEM (PKCS#8)
+    required: [true, 'Private key is required'],
+    select: false // Private key will not be returned in queries by default
+  },
+  status: {
+    type: String,
+    // active: signs new tokens; rotated: only verifies tokens it already signed; retired: unused
+    enum: ['active', 'rotated', 'retired'],
+    default: 'active'
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  retireAfter: {
+    type: Date,
+    default: null // Once passed, every token signed with this key has expired
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.privateKey;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      delete ret.privateKey;
+      return ret;
+    }
+  }
+});
+
+// Indexes for efficient queries
+signingKeySchema.index({ kid: 1 }, { unique: true });
+signingKeySchema.index({ status: 1, createdAt: -1 });
+
+// Static method to find keys that can still verify tokens (published in the JWKS)
+signingKeySchema.statics.findVerificationKeys = function() {
+  return this.find({ status: { $in: ['active', 'rotated'] } }).sort({ createdAt: -1 });
+};
+
+// Static method to find the key currently used for signing
+signingKeySchema.statics.findCurrentKey = function() {
+  return this.findOne({ status: 'active' })
+    .sort({ createdAt: -1 })
+    .select('+privateKey');
+};
+
+const SigningKey = mongoose.model('SigningKey', signingKeySchema);
+
+module.exports = SigningKey;
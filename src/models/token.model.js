@@ -5,7 +5,9 @@ const tokenSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'User ID is required']
+    // Passwordless login challenges are issued before the user is known
+    required: [function() { return this.type !== 'webauthn_authentication'; }, 'User ID is required'],
+    default: null
   },
   token: {
     type: String,
@@ -13,7 +15,7 @@ const tokenSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['refresh', 'verification', 'password_reset'],
+    enum: ['refresh', 'verification', 'password_reset', 'magic_login', 'email_change', 'webauthn_registration', 'webauthn_authentication', 'authorization_code'],
     required: [true, 'Token type is required']
   },
   expiresAt: {
@@ -35,6 +37,53 @@ const tokenSchema = new mongoose.Schema({
       default: ''
     }
   },
+  oauth: {
+    // Authorization request details bound to an authorization code
+    redirectUri: {
+      type: String,
+      default: null
+    },
+    codeChallenge: {
+      type: String,
+      default: null
+    },
+    codeChallengeMethod: {
+      type: String,
+      default: null
+    },
+    scope: {
+      type: String,
+      default: ''
+    },
+    nonce: {
+      type: String,
+      default: null
+    }
+  },
+  newEmail: {
+    type: String,
+    lowercase: true,
+    default: null // Address an email change token confirms
+  },
+  familyId: {
+    type: String, // Refresh tokens produced by rotating the same login share a family
+    default: null
+  },
+  sessionStartedAt: {
+    type: Date,
+    // Carried over on rotation so a session keeps its original login time.
+    // Tokens stored before this field existed have none; readers fall back to createdAt.
+    default: null
+  },
+  rotatedAt: {
+    type: Date,
+    default: null // Set once a refresh token has been exchanged for a new one
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Token',
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -46,12 +95,18 @@ const tokenSchema = new mongoose.Schema({
 tokenSchema.index({ userId: 1, type: 1 });
 tokenSchema.index({ token: 1 });
 tokenSchema.index({ expiresAt: 1 });
+tokenSchema.index({ familyId: 1 });
 
 // Method to check if token is expired
 tokenSchema.methods.isExpired = function() {
   return this.expiresAt < new Date();
 };
 
+// Method to get the session identifier of a refresh token (its token family)
+tokenSchema.methods.getSessionId = function() {
+  return this.familyId || this._id.toString();
+};
+
 // Static method to generate verification token
 tokenSchema.statics.generateVerificationToken = async function(userId, serviceId = null, ipAddress = '', deviceInfo = '') {
   // Generate a random token
@@ -76,13 +131,13 @@ tokenSchema.statics.generateVerificationToken = async function(userId, serviceId
 };
 
 // Static method to generate password reset token
-tokenSchema.statics.generatePasswordResetToken = async function(userId, serviceId = null, ipAddress = '', deviceInfo = '') {
+tokenSchema.statics.generatePasswordResetToken = async function(userId, serviceId = null, ipAddress = '', deviceInfo = '', expiresInHours = 1) {
   // Generate a random token
   const token = crypto.randomBytes(32).toString('hex');
   
-  // Set expiration date (1 hour from now)
+  // Set expiration date (default: 1 hour from now)
   const expiresAt = new Date();
-  expiresAt.setHours(expiresAt.getHours() + 1);
+  expiresAt.setHours(expiresAt.getHours() + expiresInHours);
   
   // Create token document
   return this.create({
@@ -98,14 +153,77 @@ tokenSchema.statics.generatePasswordResetToken = async function(userId, serviceI
   });
 };
 
-// Static method to generate refresh token
-tokenSchema.statics.generateRefreshToken = async function(userId, serviceId = null, ipAddress = '', deviceInfo = '', expiresInDays = 7) {
+// Static method to generate a single-use magic login token (replaces any earlier one)
+tokenSchema.statics.generateMagicLoginToken = async function(userId, serviceId = null, ipAddress = '', deviceInfo = '', expiresInMinutes = 15) {
+  // Only the most recently requested link can be used
+  await this.deleteMany({ userId, type: 'magic_login' });
+  
   // Generate a random token
-  const token = crypto.randomBytes(40).toString('hex');
+  const token = crypto.randomBytes(32).toString('hex');
   
-  // Set expiration date (default: 7 days from now)
+  // Set expiration date (default: 15 minutes from now)
   const expiresAt = new Date();
-  expiresAt.setDate(expiresAt.getDate() + expiresInDays);
+  expiresAt.setMinutes(expiresAt.getMinutes() + expiresInMinutes);
+  
+  // Create token document
+  return this.create({
+    userId,
+    token,
+    type: 'magic_login',
+    expiresAt,
+    metadata: {
+      serviceId,
+      deviceInfo,
+      ipAddress
+    }
+  });
+};
+
+// Static method to generate email change token for a new address
+tokenSchema.statics.generateEmailChangeToken = async function(userId, newEmail, serviceId = null, ipAddress = '', deviceInfo = '', expiresInHours = 24) {
+  // Only the most recently requested change can be confirmed
+  await this.deleteMany({ userId, type: 'email_change' });
+  
+  // Generate a random token
+  const token = crypto.randomBytes(32).toString('hex');
+  
+  // Set expiration date (default: 24 hours from now)
+  const expiresAt = new Date();
+  expiresAt.setHours(expiresAt.getHours() + expiresInHours);
+  
+  // Create token document
+  return this.create({
+    userId,
+    token,
+    type: 'email_change',
+    newEmail,
+    expiresAt,
+    metadata: {
+      serviceId,
+      deviceInfo,
+      ipAddress
+    }
+  });
+};
+
+// Static method to generate refresh token (lifetimes in seconds)
+tokenSchema.statics.generateRefreshToken = async function(userId, serviceId = null, ipAddress = '', deviceInfo = '', lifetimes = {}, previousToken = null, startedAt = null) {
+  // Generate a random token
+  const token = crypto.randomBytes(40).toString('hex');
+  
+  // Start a new token family unless this token replaces a rotated one
+  const familyId = previousToken ? previousToken.getSessionId() : crypto.randomBytes(16).toString('hex');
+  // A new family may continue an earlier login (e.g. token exchange) so its absolute timeout still applies
+  const sessionStartedAt = previousToken ? (previousToken.sessionStartedAt || previousToken.createdAt) : (startedAt || new Date());
+  
+  // Set expiration date (default: 7 days from now), never past the session's absolute timeout
+  const { refreshToken = 7 * 24 * 60 * 60, idleTimeout = refreshToken, absoluteTimeout = null } = lifetimes;
+  let expiresAt = new Date(Date.now() + Math.min(refreshToken, idleTimeout) * 1000);
+  
+  if (absoluteTimeout) {
+    const sessionEndsAt = new Date(sessionStartedAt.getTime() + absoluteTimeout * 1000);
+    expiresAt = expiresAt < sessionEndsAt ? expiresAt : sessionEndsAt;
+  }
   
   // Create token document
   return this.create({
@@ -113,6 +231,34 @@ tokenSchema.statics.generateRefreshToken = async function(userId, serviceId = nu
     token,
     type: 'refresh',
     expiresAt,
+    familyId,
+    sessionStartedAt,
+    // Keep the granted OAuth scope for the lifetime of the session
+    oauth: previousToken ? { scope: previousToken.oauth.scope } : {},
+    metadata: {
+      serviceId,
+      deviceInfo,
+      ipAddress
+    }
+  });
+};
+
+// Static method to generate an OAuth authorization code (valid for 10 minutes)
+tokenSchema.statics.generateAuthorizationCode = async function(userId, serviceId, oauth, ipAddress = '', deviceInfo = '') {
+  // Generate a random code
+  const token = crypto.randomBytes(32).toString('hex');
+  
+  // Set expiration date (10 minutes from now)
+  const expiresAt = new Date();
+  expiresAt.setMinutes(expiresAt.getMinutes() + 10);
+  
+  // Create token document
+  return this.create({
+    userId,
+    token,
+    type: 'authorization_code',
+    expiresAt,
+    oauth,
     metadata: {
       serviceId,
       deviceInfo,
@@ -121,6 +267,77 @@ tokenSchema.statics.generateRefreshToken = async function(userId, serviceId = nu
   });
 };
 
+// Static method to atomically mark a refresh token as rotated.
+// Returns null if the token was already rotated (i.e. it is being reused).
+tokenSchema.statics.markRotated = function(tokenId) {
+  return this.findOneAndUpdate(
+    { _id: tokenId, type: 'refresh', rotatedAt: null },
+    { $set: { rotatedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Static method to find a user's active sessions (current refresh token of each family)
+tokenSchema.statics.findActiveSessions = function(userId) {
+  return this.find({
+    userId,
+    type: 'refresh',
+    rotatedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .sort({ createdAt: -1 })
+    .populate('metadata.serviceId', 'name');
+};
+
+// Static method to find one of a user's active sessions by session ID
+tokenSchema.statics.findActiveSession = function(userId, sessionId) {
+  const conditions = [{ familyId: sessionId }];
+  
+  // Sessions created before token families existed are identified by their token ID
+  if (mongoose.Types.ObjectId.isValid(sessionId)) {
+    conditions.push({ _id: sessionId, familyId: null });
+  }
+  
+  return this.findOne({
+    userId,
+    type: 'refresh',
+    rotatedAt: null,
+    $or: conditions
+  });
+};
+
+// Static method to revoke every refresh token in a token family
+tokenSchema.statics.revokeFamily = function(tokenDoc) {
+  // Tokens issued before rotation was introduced have no family
+  if (!tokenDoc.familyId) {
+    return this.deleteOne({ _id: tokenDoc._id });
+  }
+  
+  return this.deleteMany({
+    type: 'refresh',
+    familyId: tokenDoc.familyId
+  });
+};
+
+// Static method to store a WebAuthn challenge (valid for 5 minutes)
+tokenSchema.statics.generateWebAuthnChallenge = async function(type, challenge, userId = null, ipAddress = '', deviceInfo = '') {
+  // Set expiration date (5 minutes from now)
+  const expiresAt = new Date();
+  expiresAt.setMinutes(expiresAt.getMinutes() + 5);
+  
+  // Create token document
+  return this.create({
+    userId,
+    token: challenge,
+    type,
+    expiresAt,
+    metadata: {
+      deviceInfo,
+      ipAddress
+    }
+  });
+};
+
 const Token = mongoose.model('Token', tokenSchema);
 
 module.exports = Token;
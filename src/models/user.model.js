@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
-const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { hashPassword, verifyPassword, needsRehash } = require('../utils/passwordHasher');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -47,6 +48,80 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null // Set whenever the password is hashed; older accounts fall back to createdAt
+  },
+  passwordHistory: {
+    type: [{
+      _id: false,
+      hash: {
+        type: String,
+        required: true
+      },
+      changedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false, // Previous password hashes (including the current one), never returned by default
+    default: []
+  },
+  tokensValidAfter: {
+    type: Date,
+    default: null // Access tokens issued before this time are rejected
+  },
+  mfa: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false, // Encrypted TOTP secret, never returned by default
+      default: null
+    },
+    pendingSecret: {
+      type: String,
+      select: false, // Encrypted TOTP secret awaiting confirmation
+      default: null
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false, // Last accepted TOTP time step (prevents code replay)
+      default: null
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
+  recoveryCodes: {
+    type: [{
+      codeHash: {
+        type: String,
+        required: true
+      },
+      usedAt: {
+        type: Date,
+        default: null
+      }
+    }],
+    select: false, // Hashed one-time recovery codes, never returned by default
+    default: []
+  },
   metadata: {
     bio: {
       type: String,
@@ -76,12 +151,24 @@ const userSchema = new mongoose.Schema({
   toJSON: { 
     transform: function(doc, ret) {
       delete ret.password;
+      if (ret.mfa) {
+        delete ret.mfa.secret;
+        delete ret.mfa.pendingSecret;
+        delete ret.mfa.lastUsedStep;
+      }
+      delete ret.recoveryCodes;
       return ret;
     }
   },
   toObject: {
     transform: function(doc, ret) {
       delete ret.password;
+      if (ret.mfa) {
+        delete ret.mfa.secret;
+        delete ret.mfa.pendingSecret;
+        delete ret.mfa.lastUsedStep;
+      }
+      delete ret.recoveryCodes;
       return ret;
     }
   }
@@ -92,31 +179,251 @@ userSchema.index({ username: 1 }, { unique: true });
 userSchema.index({ email: 1 }, { unique: true });
 userSchema.index({ status: 1 });
 
+// Maximum number of previous password hashes kept per user
+const PASSWORD_HISTORY_LIMIT = 24;
+
 // Password hashing middleware
 userSchema.pre('save', async function(next) {
   // Only hash the password if it has been modified (or is new)
   if (!this.isModified('password')) return next();
   
+  // Already hashed (e.g. imported from another system)
+  if (this.$locals.passwordIsHashed) {
+    this.$locals.passwordIsHashed = false;
+    return next();
+  }
+  
   try {
-    // Generate a salt
-    const salt = await bcrypt.genSalt(10);
-    // Hash the password along with the new salt
-    this.password = await bcrypt.hash(this.password, salt);
+    // Hash the password with the configured algorithm
+    this.password = await hashPassword(this.password);
+    this.passwordChangedAt = new Date();
+    
+    // Only recorded when the history was loaded, so saving never overwrites it with a partial list
+    if (this.isSelected('passwordHistory')) {
+      this.passwordHistory = [
+        ...(this.passwordHistory || []),
+        { hash: this.password, changedAt: this.passwordChangedAt }
+      ].slice(-PASSWORD_HISTORY_LIMIT);
+    }
+    
     next();
   } catch (error) {
     next(error);
   }
 });
 
-// Method to compare password
+// Method to set an existing password hash (any format supported by utils/passwordHasher)
+userSchema.methods.setPasswordHash = function(hash) {
+  this.password = hash;
+  this.$locals.passwordIsHashed = true;
+};
+
+// Method to compare password; an outdated or legacy hash is replaced once the password is known
 userSchema.methods.comparePassword = async function(candidatePassword) {
   try {
-    return await bcrypt.compare(candidatePassword, this.password);
+    const isMatch = await verifyPassword(candidatePassword, this.password);
+    
+    if (isMatch && needsRehash(this.password)) {
+      const hash = await hashPassword(candidatePassword);
+      
+      // Only replace the hash that was verified, in case the password changed in the meantime
+      await this.constructor.updateOne({ _id: this._id, password: this.password }, { $set: { password: hash } });
+      this.password = hash;
+      this.unmarkModified('password');
+    }
+    
+    return isMatch;
   } catch (error) {
     throw new Error(error);
   }
 };
 
+// Method to check a password against the last `count` passwords (requires password and passwordHistory to be selected)
+userSchema.methods.isPasswordReused = async function(candidatePassword, count) {
+  if (!count || count <= 0) {
+    return false;
+  }
+
+  const hashes = (this.passwordHistory || []).slice(-count).map(entry => entry.hash);
+
+  // Accounts created before the history was kept only have their current password
+  if (this.password && !hashes.includes(this.password)) {
+    hashes.push(this.password);
+  }
+
+  for (const hash of hashes) {
+    if (await verifyPassword(candidatePassword, hash)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+// Hash a recovery code (codes are high-entropy, so a fast hash is sufficient)
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256')
+    .update(code.toLowerCase().replace(/[^a-z0-9]/g, ''))
+    .digest('hex');
+};
+
+// Method to generate a new set of recovery codes (replaces any existing ones).
+// Returns the plain codes, which are only available at this point.
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = [];
+
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  this.recoveryCodes = codes.map(code => ({ codeHash: hashRecoveryCode(code) }));
+  return codes;
+};
+
+// Method to consume a recovery code (requires recoveryCodes to be selected)
+userSchema.methods.consumeRecoveryCode = function(code) {
+  if (!code || !this.recoveryCodes) {
+    return false;
+  }
+
+  const codeHash = hashRecoveryCode(code);
+  const entry = this.recoveryCodes.find(rc => !rc.usedAt && crypto.timingSafeEqual(
+    Buffer.from(rc.codeHash, 'hex'),
+    Buffer.from(codeHash, 'hex')
+  ));
+
+  if (!entry) {
+    return false;
+  }
+
+  entry.usedAt = new Date();
+  return true;
+};
+
+// Method to count unused recovery codes (requires recoveryCodes to be selected)
+userSchema.methods.countRemainingRecoveryCodes = function() {
+  return (this.recoveryCodes || []).filter(rc => !rc.usedAt).length;
+};
+
+// Login lockout settings
+const getLockoutConfig = () => ({
+  maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  lockDurationMinutes: parseInt(process.env.LOGIN_LOCK_DURATION_MINUTES) || 15,
+  backoffBaseSeconds: parseInt(process.env.LOGIN_BACKOFF_BASE_SECONDS) || 1,
+  backoffMaxSeconds: parseInt(process.env.LOGIN_BACKOFF_MAX_SECONDS) || 60
+});
+
+// Method to check if the account is temporarily locked
+userSchema.methods.isLocked = function() {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Method to get the number of seconds until the next login attempt is allowed
+// (exponential backoff after consecutive failures)
+userSchema.methods.getLoginRetryDelay = function() {
+  if (this.isLocked()) {
+    return Math.ceil((this.lockUntil - Date.now()) / 1000);
+  }
+
+  if (!this.failedLoginAttempts || !this.lastFailedLoginAt) {
+    return 0;
+  }
+
+  const { backoffBaseSeconds, backoffMaxSeconds } = getLockoutConfig();
+  const delay = Math.min(backoffBaseSeconds * 2 ** (this.failedLoginAttempts - 1), backoffMaxSeconds);
+  const retryAt = this.lastFailedLoginAt.getTime() + delay * 1000;
+
+  return Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+};
+
+// Static method to record a failed login attempt in a single atomic update, so concurrent
+// failures are all counted. Resolves to { user, locked } with the updated lock fields,
+// where `locked` is true for the attempt that reached the limit; user is null if it doesn't exist.
+userSchema.statics.registerFailedLogin = async function(userId) {
+  const { maxAttempts, lockDurationMinutes } = getLockoutConfig();
+  const now = new Date();
+  const lockDuration = lockDurationMinutes * 60 * 1000;
+  const lockUntil = new Date(now.getTime() + lockDuration);
+
+  // Start counting again once a previous lock or failure streak has expired
+  const streakExpired = {
+    $or: [
+      { $and: [{ $ne: [{ $ifNull: ['$lockUntil', null] }, null] }, { $lte: ['$lockUntil', now] }] },
+      { $and: [
+        { $ne: [{ $ifNull: ['$lastFailedLoginAt', null] }, null] },
+        { $lt: ['$lastFailedLoginAt', new Date(now.getTime() - lockDuration)] }
+      ] }
+    ]
+  };
+
+  const user = await this.findOneAndUpdate({ _id: userId }, [
+    {
+      $set: {
+        failedLoginAttempts: {
+          $cond: [streakExpired, 1, { $add: [{ $ifNull: ['$failedLoginAttempts', 0] }, 1] }]
+        },
+        lockUntil: { $cond: [streakExpired, null, { $ifNull: ['$lockUntil', null] }] },
+        lastFailedLoginAt: now
+      }
+    },
+    {
+      // Lock once the new count reaches the limit, unless a lock is already running
+      $set: {
+        lockUntil: {
+          $cond: [
+            { $and: [{ $gte: ['$failedLoginAttempts', maxAttempts] }, { $not: [{ $gt: ['$lockUntil', now] }] }] },
+            lockUntil,
+            '$lockUntil'
+          ]
+        }
+      }
+    }
+  ], { new: true }).select('username failedLoginAttempts lastFailedLoginAt lockUntil');
+
+  // Expired locks and streaks restart the count, so only the attempt that reaches the limit starts a lock
+  return {
+    user,
+    locked: !!user && user.failedLoginAttempts === maxAttempts && user.isLocked()
+  };
+};
+
+// Method to clear failed login attempts and any lock
+userSchema.methods.resetFailedLogins = function() {
+  this.failedLoginAttempts = 0;
+  this.lastFailedLoginAt = null;
+  this.lockUntil = null;
+
+  // Failures recorded by concurrent requests aren't in this document, so always write the reset
+  this.markModified('failedLoginAttempts');
+  this.markModified('lastFailedLoginAt');
+  this.markModified('lockUntil');
+};
+
+// Method to get the current lock state
+userSchema.methods.getLockStatus = function() {
+  return {
+    locked: this.isLocked(),
+    lockUntil: this.isLocked() ? this.lockUntil : null,
+    failedLoginAttempts: this.failedLoginAttempts,
+    lastFailedLoginAt: this.lastFailedLoginAt
+  };
+};
+
+// Method to invalidate all access tokens issued so far
+userSchema.methods.revokeIssuedTokens = function() {
+  this.tokensValidAfter = new Date();
+};
+
+// Method to check if an access token issued at `issuedAt` (seconds since epoch) has been revoked
+userSchema.methods.isTokenIssuedBeforeRevocation = function(issuedAt) {
+  if (!this.tokensValidAfter) {
+    return false;
+  }
+  
+  return issuedAt < Math.floor(this.tokensValidAfter.getTime() / 1000);
+};
+
 // Method to update last login time
 userSchema.methods.updateLastLogin = function() {
   this.lastLoginAt = Date.now();
@@ -7,6 +7,9 @@ const roleRoutes = require('./role.routes');
 const serviceRoutes = require('./service.routes');
 const userServiceRoutes = require('./userService.routes');
 const auditLogRoutes = require('./auditLog.routes');
+const oauthRoutes = require('./oauth.routes');
+const oidcRoutes = require('./oidc.routes');
+const serviceApiRoutes = require('./serviceApi.routes');
 
 // Routes
 router.use('/users', userRoutes);
@@ -14,6 +17,9 @@ router.use('/roles', roleRoutes);
 router.use('/services', serviceRoutes);
 router.use('/user-services', userServiceRoutes);
 router.use('/audit-logs', auditLogRoutes);
+router.use('/oauth', oauthRoutes);
+router.use('/service-api', serviceApiRoutes);
+router.use('/', oidcRoutes);
 
 // API health check
 router.get('/health', (req, res) => {
@@ -37,7 +43,10 @@ router.get('/', (req, res) => {
       roles: '/api/roles',
       services: '/api/services',
       userServices: '/api/user-services',
-      auditLogs: '/api/audit-logs'
+      auditLogs: '/api/audit-logs',
+      oauth: '/api/oauth',
+      serviceApi: '/api/service-api',
+      openidConfiguration: '/api/.well-known/openid-configuration'
     },
     documentation: '/api/docs',
     health: '/api/health'
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const oauthController = require('../controllers/oauth.controller');
+const { authenticate, blockDelegatedAccess } = require('../middlewares/auth.middleware');
+const auditLogger = require('../middlewares/audit.middleware');
+
+// Describe an authorization request (for the consent screen)
+router.get('/authorize',
+  oauthController.getAuthorization
+);
+
+// Approve or deny an authorization request (requires a logged-in user)
+router.post('/authorize',
+  authenticate,
+  blockDelegatedAccess,
+  auditLogger('oauth:authorize'),
+  oauthController.authorize
+);
+
+// Token endpoint (authorization_code, refresh_token and client_credentials grants)
+router.post('/token',
+  auditLogger('oauth:token'),
+  oauthController.token
+);
+
+// Token introspection for resource servers (RFC 7662)
+router.post('/introspect',
+  auditLogger('oauth:introspect'),
+  oauthController.introspect
+);
+
+module.exports = router;
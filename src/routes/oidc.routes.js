@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const oidcController = require('../controllers/oidc.controller');
+const { authenticate } = require('../middlewares/auth.middleware');
+const auditLogger = require('../middlewares/audit.middleware');
+
+// Discovery and key publication
+router.get('/.well-known/openid-configuration',
+  oidcController.getConfiguration
+);
+
+router.get('/jwks.json',
+  oidcController.getJwks
+);
+
+// UserInfo endpoint (GET and POST per OpenID Connect Core)
+router.get('/userinfo',
+  authenticate,
+  auditLogger('oidc:userinfo'),
+  oidcController.getUserInfo
+);
+
+router.post('/userinfo',
+  authenticate,
+  auditLogger('oidc:userinfo'),
+  oidcController.getUserInfo
+);
+
+module.exports = router;
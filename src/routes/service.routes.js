@@ -62,4 +62,24 @@ router.get('/:id/users',
   serviceController.getServiceUsers
 );
 
+// Email templates for a specific service
+router.get('/:id/email-templates',
+  hasPermission('service:read'),
+  auditLogger('service:get_email_templates'),
+  serviceController.getEmailTemplates
+);
+
+router.put('/:id/email-templates/:template/:language',
+  hasPermission('service:write'),
+  validateRequest(schemas.emailTemplate),
+  auditLogger('service:set_email_template'),
+  serviceController.setEmailTemplate
+);
+
+router.delete('/:id/email-templates/:template/:language',
+  hasPermission('service:write'),
+  auditLogger('service:delete_email_template'),
+  serviceController.deleteEmailTemplate
+);
+
 module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const serviceApiController = require('../controllers/serviceApi.controller');
+const { validateRequest, schemas } = require('../middlewares/validation.middleware');
+const { authenticateService } = require('../middlewares/auth.middleware');
+const auditLogger = require('../middlewares/audit.middleware');
+
+// All routes are called by a service as itself and only see that service's data
+router.use(authenticateService);
+
+// Users assigned to the service
+router.get('/users',
+  auditLogger('service_api:get_users'),
+  serviceApiController.getServiceUsers
+);
+
+router.get('/users/:userId',
+  auditLogger('service_api:get_user'),
+  serviceApiController.getServiceUser
+);
+
+router.put('/users/:userId/roles',
+  validateRequest(schemas.serviceUserRoles),
+  auditLogger('service_api:update_user_roles'),
+  serviceApiController.updateServiceUserRoles
+);
+
+router.put('/users/:userId/custom-data',
+  validateRequest(schemas.serviceUserCustomData),
+  auditLogger('service_api:update_custom_data'),
+  serviceApiController.updateServiceUserCustomData
+);
+
+// Roles defined by the service
+router.get('/roles',
+  auditLogger('service_api:get_roles'),
+  serviceApiController.getServiceRoles
+);
+
+module.exports = router;
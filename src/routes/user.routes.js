@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/user.controller');
 const { validateRequest, schemas } = require('../middlewares/validation.middleware');
-const { authenticate, authenticateRefreshToken, hasPermission, hasRole } = require('../middlewares/auth.middleware');
+const { authenticate, authenticateRefreshToken, blockDelegatedAccess, hasPermission, hasRole } = require('../middlewares/auth.middleware');
 const auditLogger = require('../middlewares/audit.middleware');
 
 // Public routes
@@ -12,33 +12,94 @@ router.post('/register',
   userController.registerUser
 );
 
+router.get('/password-policy',
+  auditLogger('user:get_password_policy'),
+  userController.getRegistrationPasswordPolicy
+);
+
 router.post('/login', 
   validateRequest(schemas.userLogin),
   auditLogger('user:login'),
   userController.loginUser
 );
 
+// Passwordless login with a single-use emailed link
+router.post('/magic-link',
+  validateRequest(schemas.magicLinkRequest),
+  auditLogger('user:magic_link_request'),
+  userController.requestMagicLink
+);
+
+router.post('/magic-link/verify',
+  validateRequest(schemas.magicLinkVerify),
+  auditLogger('user:magic_link_login'),
+  userController.verifyMagicLink
+);
+
 router.post('/refresh-token',
   authenticateRefreshToken,
   auditLogger('user:refresh_token'),
   userController.refreshToken
 );
 
+router.post('/mfa/verify',
+  validateRequest(schemas.mfaVerify),
+  auditLogger('user:mfa_verify'),
+  userController.verifyMfaLogin
+);
+
+router.post('/passkeys/login/options',
+  auditLogger('user:passkey_login_options'),
+  userController.getPasskeyLoginOptions
+);
+
+router.post('/passkeys/login/verify',
+  validateRequest(schemas.passkeyLogin),
+  auditLogger('user:passkey_login'),
+  userController.verifyPasskeyLogin
+);
+
+// Expired passwords are changed with the token returned by login
+router.post('/change-expired-password',
+  validateRequest(schemas.expiredPasswordChange),
+  auditLogger('user:change_expired_password'),
+  userController.changeExpiredPassword
+);
+
 router.get('/verify-email/:token',
   auditLogger('user:verify_email'),
   userController.verifyEmail
 );
 
+router.post('/resend-verification',
+  validateRequest(schemas.resendVerification),
+  auditLogger('user:resend_verification'),
+  userController.resendVerification
+);
+
+router.get('/email-change/confirm/:token',
+  auditLogger('user:confirm_email_change'),
+  userController.confirmEmailChange
+);
+
 router.post('/forgot-password',
+  validateRequest(schemas.forgotPassword),
   auditLogger('user:forgot_password'),
   userController.forgotPassword
 );
 
 router.post('/reset-password/:token',
+  validateRequest(schemas.passwordReset),
   auditLogger('user:reset_password'),
   userController.resetPassword
 );
 
+router.post('/reset-password',
+  validateRequest(schemas.recoveryCodeReset),
+  auditLogger('user:reset_password_recovery_code'),
+  userController.resetPassword
+);
+
 // Protected routes - require authentication
 router.use(authenticate);
 
@@ -53,7 +114,15 @@ router.put('/profile',
   userController.updateUserProfile
 );
 
+router.post('/email-change',
+  blockDelegatedAccess,
+  validateRequest(schemas.emailChange),
+  auditLogger('user:request_email_change'),
+  userController.requestEmailChange
+);
+
 router.put('/change-password',
+  blockDelegatedAccess,
   validateRequest(schemas.changePassword),
   auditLogger('user:change_password'),
   userController.changePassword
@@ -64,6 +133,110 @@ router.post('/logout',
   userController.logoutUser
 );
 
+// Switch service context without logging in again
+router.post('/token-exchange',
+  blockDelegatedAccess,
+  validateRequest(schemas.tokenExchange),
+  auditLogger('user:token_exchange'),
+  userController.exchangeToken
+);
+
+// Multi-factor authentication
+router.post('/mfa/enroll',
+  blockDelegatedAccess,
+  auditLogger('user:mfa_enroll'),
+  userController.enrollMfa
+);
+
+router.post('/mfa/confirm',
+  blockDelegatedAccess,
+  validateRequest(schemas.mfaCode),
+  auditLogger('user:mfa_confirm'),
+  userController.confirmMfa
+);
+
+router.post('/mfa/disable',
+  blockDelegatedAccess,
+  validateRequest(schemas.mfaDisable),
+  auditLogger('user:mfa_disable'),
+  userController.disableMfa
+);
+
+// Session management
+router.get('/sessions',
+  auditLogger('user:get_sessions'),
+  userController.getSessions
+);
+
+router.post('/sessions/revoke-others',
+  blockDelegatedAccess,
+  auditLogger('user:revoke_other_sessions'),
+  userController.revokeOtherSessions
+);
+
+router.delete('/sessions/:sessionId',
+  blockDelegatedAccess,
+  auditLogger('user:revoke_session'),
+  userController.revokeSession
+);
+
+// Passkeys (WebAuthn)
+router.get('/passkeys',
+  auditLogger('user:get_passkeys'),
+  userController.getPasskeys
+);
+
+router.post('/passkeys/register/options',
+  blockDelegatedAccess,
+  auditLogger('user:passkey_register_options'),
+  userController.getPasskeyRegistrationOptions
+);
+
+router.post('/passkeys/register/verify',
+  blockDelegatedAccess,
+  validateRequest(schemas.passkeyRegister),
+  auditLogger('user:passkey_register'),
+  userController.verifyPasskeyRegistration
+);
+
+router.delete('/passkeys/:passkeyId',
+  blockDelegatedAccess,
+  auditLogger('user:passkey_delete'),
+  userController.deletePasskey
+);
+
+// Recovery codes
+router.get('/recovery-codes',
+  auditLogger('user:get_recovery_codes'),
+  userController.getRecoveryCodeStatus
+);
+
+router.post('/recovery-codes',
+  blockDelegatedAccess,
+  validateRequest(schemas.recoveryCodes),
+  auditLogger('user:generate_recovery_codes'),
+  userController.generateRecoveryCodes
+);
+
+// Personal access tokens for scripts and other automation
+router.get('/personal-access-tokens',
+  auditLogger('user:get_personal_access_tokens'),
+  userController.getPersonalAccessTokens
+);
+
+router.post('/personal-access-tokens',
+  blockDelegatedAccess,
+  validateRequest(schemas.personalAccessToken),
+  auditLogger('user:create_personal_access_token'),
+  userController.createPersonalAccessToken
+);
+
+router.delete('/personal-access-tokens/:tokenId',
+  blockDelegatedAccess,
+  auditLogger('user:delete_personal_access_token'),
+  userController.deletePersonalAccessToken
+);
+
 // Admin-only routes
 router.get('/',
   hasPermission('user:read'),
@@ -79,10 +252,51 @@ router.get('/:id',
 
 router.put('/:id',
   hasPermission('user:write'),
+  validateRequest(schemas.adminUserUpdate),
   auditLogger('user:update'),
   userController.updateUser
 );
 
+router.get('/:id/sessions',
+  hasPermission('user:read'),
+  auditLogger('user:get_user_sessions'),
+  userController.getUserSessions
+);
+
+router.delete('/:id/sessions',
+  hasPermission('user:write'),
+  auditLogger('user:revoke_all_user_sessions'),
+  userController.revokeAllUserSessions
+);
+
+router.delete('/:id/sessions/:sessionId',
+  hasPermission('user:write'),
+  auditLogger('user:revoke_user_session'),
+  userController.revokeUserSession
+);
+
+router.post('/:id/unlock',
+  hasPermission('user:write'),
+  auditLogger('user:unlock'),
+  userController.unlockUser
+);
+
+router.post('/:id/recovery',
+  blockDelegatedAccess,
+  hasPermission('user:recover'),
+  validateRequest(schemas.accountRecovery),
+  auditLogger('user:issue_account_recovery'),
+  userController.issueAccountRecovery
+);
+
+// Act as a user for support; the token is short-lived and marked with the acting admin
+router.post('/:id/impersonate',
+  blockDelegatedAccess,
+  hasPermission('user:impersonate'),
+  validateRequest(schemas.impersonation),
+  userController.impersonateUser
+);
+
 router.delete('/:id',
   hasPermission('user:delete'),
   auditLogger('user:delete'),
@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const userServiceController = require('../controllers/userService.controller');
 const { validateRequest, schemas } = require('../middlewares/validation.middleware');
-const { authenticate, hasPermission, authenticateService } = require('../middlewares/auth.middleware');
+const { authenticate, hasPermission } = require('../middlewares/auth.middleware');
 const auditLogger = require('../middlewares/audit.middleware');
 
 // All routes require authentication
@@ -54,8 +54,7 @@ router.get('/service/:serviceId/role/:roleId',
   userServiceController.getUsersByServiceRole
 );
 
-// Service-specific route for updating custom data
-// This route can also be accessed by the service itself using API key authentication
+// Update custom data (services update their own users' data through /service-api)
 router.put('/user/:userId/service/:serviceId/custom-data',
   auditLogger('user_service:update_custom_data'),
   userServiceController.updateCustomData
@@ -8,6 +8,14 @@ const { errorHandler } = require('./utils/error.handler');
 const connectDB = require('./config/db.config');
 const routes = require('./routes');
 const logger = require('./utils/logger');
+const { startKeyRotationSchedule } = require('./utils/signingKeys');
+const { startMailQueue } = require('./utils/mailer');
+
+// Stored secrets (MFA seeds, signing keys) are encrypted with ENCRYPTION_KEY, so it is required
+if (!process.env.ENCRYPTION_KEY) {
+  logger.error('ENCRYPTION_KEY is not configured');
+  process.exit(1);
+}
 
 // Create Express app
 const app = express();
@@ -15,6 +23,12 @@ const app = express();
 // Connect to MongoDB
 connectDB();
 
+// Create the token signing key if needed and rotate it on schedule
+startKeyRotationSchedule();
+
+// Deliver queued emails and retry failed sends
+startMailQueue();
+
 // Security middleware
 app.use(helmet());
 app.use(cors());
@@ -51,11 +65,16 @@ app.use((req, res, next) => {
   next();
 });
 
+// Keep the raw body for verifying signed service requests
+const keepRawBody = (req, res, buffer) => {
+  req.rawBody = buffer;
+};
+
 // Parse JSON bodies
-app.use(express.json({ limit: '1mb' }));
+app.use(express.json({ limit: '1mb', verify: keepRawBody }));
 
 // Parse URL-encoded bodies
-app.use(express.urlencoded({ extended: true, limit: '1mb' }));
+app.use(express.urlencoded({ extended: true, limit: '1mb', verify: keepRawBody }));
 
 // API routes
 app.use(process.env.API_PREFIX || '/api', routes);
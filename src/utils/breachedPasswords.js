@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getBreachedPasswordsDir } = require('../config/password.config');
+const logger = require('./logger');
+
+// The list is stored as SHA-1 hashes split into bucket files by hash prefix, the same
+// scheme as the Have I Been Pwned range API, so a lookup only reads one small file:
+//   index.json      { "prefixLength": 1, "count": 236, ... }
+//   <PREFIX>.txt    sorted hash suffixes (uppercase hex), one per line
+
+// Number of bucket files kept in memory
+const BUCKET_CACHE_SIZE = 256;
+
+let index;
+const bucketCache = new Map();
+
+// SHA-1 of a password as uppercase hex (the format used by breach lists)
+const hashPassword = (password) => {
+  return crypto.createHash('sha1').update(String(password), 'utf8').digest('hex').toUpperCase();
+};
+
+// Load the list's index; null when no list is installed
+const loadIndex = async () => {
+  if (index !== undefined) {
+    return index;
+  }
+  
+  const dir = getBreachedPasswordsDir();
+  
+  try {
+    index = JSON.parse(await fs.promises.readFile(path.join(dir, 'index.json'), 'utf8'));
+  } catch (error) {
+    logger.warn(`Compromised password list not available in ${dir}: ${error.message}`);
+    index = null;
+  }
+  
+  return index;
+};
+
+// Read a bucket's suffixes, using the in-memory cache
+const loadBucket = async (prefix) => {
+  if (bucketCache.has(prefix)) {
+    return bucketCache.get(prefix);
+  }
+  
+  let suffixes;
+  
+  try {
+    const content = await fs.promises.readFile(path.join(getBreachedPasswordsDir(), `${prefix}.txt`), 'utf8');
+    suffixes = content.split('\n').filter(Boolean);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+    
+    // No hashes with this prefix
+    suffixes = [];
+  }
+  
+  if (bucketCache.size >= BUCKET_CACHE_SIZE) {
+    bucketCache.delete(bucketCache.keys().next().value);
+  }
+  
+  bucketCache.set(prefix, suffixes);
+  return suffixes;
+};
+
+// Binary search a sorted bucket
+const containsSuffix = (suffixes, suffix) => {
+  let low = 0;
+  let high = suffixes.length - 1;
+  
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    
+    if (suffixes[mid] === suffix) {
+      return true;
+    }
+    
+    if (suffixes[mid] < suffix) {
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  
+  return false;
+};
+
+// Check whether a password (or its lowercase form) is in the compromised password list
+const isBreachedPassword = async (password) => {
+  const listIndex = await loadIndex();
+  
+  if (!listIndex) {
+    return false;
+  }
+  
+  const candidates = [...new Set([password, String(password).toLowerCase()])];
+  
+  for (const candidate of candidates) {
+    const hash = hashPassword(candidate);
+    const suffixes = await loadBucket(hash.slice(0, listIndex.prefixLength));
+    
+    if (containsSuffix(suffixes, hash.slice(listIndex.prefixLength))) {
+      return true;
+    }
+  }
+  
+  return false;
+};
+
+// Forget the loaded list (e.g. after it was rebuilt)
+const clearBreachedPasswordCache = () => {
+  index = undefined;
+  bucketCache.clear();
+};
+
+module.exports = {
+  hashPassword,
+  isBreachedPassword,
+  clearBreachedPasswordCache
+};
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+// Derive a 256-bit key from the configured encryption key
+const getKey = () => {
+  const secret = process.env.ENCRYPTION_KEY;
+
+  if (!secret) {
+    throw new Error('ENCRYPTION_KEY is not configured');
+  }
+
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+// Encrypt a string value, returns "iv:authTag:ciphertext" (hex encoded)
+const encrypt = (plainText) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return `${iv.toString('hex')}:${authTag.toString('hex')}:${encrypted.toString('hex')}`;
+};
+
+// Decrypt a value produced by encrypt()
+const decrypt = (payload) => {
+  const [ivHex, authTagHex, encryptedHex] = payload.split(':');
+
+  if (!ivHex || !authTagHex || !encryptedHex) {
+    throw new Error('Invalid encrypted payload');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(ivHex, 'hex'));
+  decipher.setAuthTag(Buffer.from(authTagHex, 'hex'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(encryptedHex, 'hex')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+module.exports = {
+  encrypt,
+  decrypt
+};
@@ -0,0 +1,285 @@
+// Default message templates by name and language; {{name}} placeholders are filled from the template variables
+const TEMPLATES = {
+  email_verification: {
+    en: {
+      subject: 'Verify your email address for {{appName}}',
+      text: [
+        'Hello {{user.displayName}},',
+        '',
+        'Please verify your email address by opening the link below:',
+        '{{link}}',
+        '',
+        'This link expires in {{expiresIn}}. If you did not create an account, you can ignore this email.'
+      ].join('\n'),
+      html: [
+        '<p>Hello {{user.displayName}},</p>',
+        '<p>Please verify your email address by opening the link below:</p>',
+        '<p><a href="{{link}}">Verify email address</a></p>',
+        '<p>This link expires in {{expiresIn}}. If you did not create an account, you can ignore this email.</p>'
+      ].join('\n')
+    },
+    th: {
+      subject: 'ยืนยันอีเมลของคุณสำหรับ {{appName}}',
+      text: [
+        'สวัสดีคุณ {{user.displayName}}',
+        '',
+        'กรุณายืนยันอีเมลของคุณโดยเปิดลิงก์ด้านล่าง:',
+        '{{link}}',
+        '',
+        'ลิงก์นี้จะหมดอายุใน {{expiresIn}} หากคุณไม่ได้สมัครบัญชี สามารถละเว้นอีเมลนี้ได้'
+      ].join('\n'),
+      html: [
+        '<p>สวัสดีคุณ {{user.displayName}}</p>',
+        '<p>กรุณายืนยันอีเมลของคุณโดยเปิดลิงก์ด้านล่าง:</p>',
+        '<p><a href="{{link}}">ยืนยันอีเมล</a></p>',
+        '<p>ลิงก์นี้จะหมดอายุใน {{expiresIn}} หากคุณไม่ได้สมัครบัญชี สามารถละเว้นอีเมลนี้ได้</p>'
+      ].join('\n')
+    }
+  },
+  password_reset: {
+    en: {
+      subject: 'Reset your {{appName}} password',
+      text: [
+        'Hello {{user.displayName}},',
+        '',
+        'We received a request to reset your password. Open the link below to choose a new one:',
+        '{{link}}',
+        '',
+        'This link expires in {{expiresIn}}. If you did not request a password reset, you can ignore this email.'
+      ].join('\n'),
+      html: [
+        '<p>Hello {{user.displayName}},</p>',
+        '<p>We received a request to reset your password. Open the link below to choose a new one:</p>',
+        '<p><a href="{{link}}">Reset password</a></p>',
+        '<p>This link expires in {{expiresIn}}. If you did not request a password reset, you can ignore this email.</p>'
+      ].join('\n')
+    },
+    th: {
+      subject: 'รีเซ็ตรหัสผ่าน {{appName}} ของคุณ',
+      text: [
+        'สวัสดีคุณ {{user.displayName}}',
+        '',
+        'เราได้รับคำขอรีเซ็ตรหัสผ่านของคุณ เปิดลิงก์ด้านล่างเพื่อตั้งรหัสผ่านใหม่:',
+        '{{link}}',
+        '',
+        'ลิงก์นี้จะหมดอายุใน {{expiresIn}} หากคุณไม่ได้ขอรีเซ็ตรหัสผ่าน สามารถละเว้นอีเมลนี้ได้'
+      ].join('\n'),
+      html: [
+        '<p>สวัสดีคุณ {{user.displayName}}</p>',
+        '<p>เราได้รับคำขอรีเซ็ตรหัสผ่านของคุณ เปิดลิงก์ด้านล่างเพื่อตั้งรหัสผ่านใหม่:</p>',
+        '<p><a href="{{link}}">รีเซ็ตรหัสผ่าน</a></p>',
+        '<p>ลิงก์นี้จะหมดอายุใน {{expiresIn}} หากคุณไม่ได้ขอรีเซ็ตรหัสผ่าน สามารถละเว้นอีเมลนี้ได้</p>'
+      ].join('\n')
+    }
+  },
+  magic_login: {
+    en: {
+      subject: 'Your {{appName}} login link',
+      text: [
+        'Hello {{user.displayName}},',
+        '',
+        'Open the link below to log in. It can only be used once:',
+        '{{link}}',
+        '',
+        'This link expires in {{expiresIn}}. If you did not request it, you can ignore this email.'
+      ].join('\n'),
+      html: [
+        '<p>Hello {{user.displayName}},</p>',
+        '<p>Open the link below to log in. It can only be used once:</p>',
+        '<p><a href="{{link}}">Log in to {{appName}}</a></p>',
+        '<p>This link expires in {{expiresIn}}. If you did not request it, you can ignore this email.</p>'
+      ].join('\n')
+    },
+    th: {
+      subject: 'ลิงก์เข้าสู่ระบบ {{appName}} ของคุณ',
+      text: [
+        'สวัสดีคุณ {{user.displayName}}',
+        '',
+        'เปิดลิงก์ด้านล่างเพื่อเข้าสู่ระบบ ลิงก์นี้ใช้ได้เพียงครั้งเดียว:',
+        '{{link}}',
+        '',
+        'ลิงก์นี้จะหมดอายุใน {{expiresIn}} หากคุณไม่ได้ขอลิงก์นี้ สามารถละเว้นอีเมลนี้ได้'
+      ].join('\n'),
+      html: [
+        '<p>สวัสดีคุณ {{user.displayName}}</p>',
+        '<p>เปิดลิงก์ด้านล่างเพื่อเข้าสู่ระบบ ลิงก์นี้ใช้ได้เพียงครั้งเดียว:</p>',
+        '<p><a href="{{link}}">เข้าสู่ระบบ {{appName}}</a></p>',
+        '<p>ลิงก์นี้จะหมดอายุใน {{expiresIn}} หากคุณไม่ได้ขอลิงก์นี้ สามารถละเว้นอีเมลนี้ได้</p>'
+      ].join('\n')
+    }
+  },
+  email_change: {
+    en: {
+      subject: 'Confirm your new email address for {{appName}}',
+      text: [
+        'Hello {{user.displayName}},',
+        '',
+        'Please confirm that you want to use {{newEmail}} for your account by opening the link below:',
+        '{{link}}',
+        '',
+        'This link expires in {{expiresIn}}. Your email address will not change until you confirm it.'
+      ].join('\n'),
+      html: [
+        '<p>Hello {{user.displayName}},</p>',
+        '<p>Please confirm that you want to use {{newEmail}} for your account by opening the link below:</p>',
+        '<p><a href="{{link}}">Confirm email address</a></p>',
+        '<p>This link expires in {{expiresIn}}. Your email address will not change until you confirm it.</p>'
+      ].join('\n')
+    },
+    th: {
+      subject: 'ยืนยันอีเมลใหม่ของคุณสำหรับ {{appName}}',
+      text: [
+        'สวัสดีคุณ {{user.displayName}}',
+        '',
+        'กรุณายืนยันว่าต้องการใช้ {{newEmail}} กับบัญชีของคุณโดยเปิดลิงก์ด้านล่าง:',
+        '{{link}}',
+        '',
+        'ลิงก์นี้จะหมดอายุใน {{expiresIn}} อีเมลของคุณจะยังไม่เปลี่ยนจนกว่าจะยืนยัน'
+      ].join('\n'),
+      html: [
+        '<p>สวัสดีคุณ {{user.displayName}}</p>',
+        '<p>กรุณายืนยันว่าต้องการใช้ {{newEmail}} กับบัญชีของคุณโดยเปิดลิงก์ด้านล่าง:</p>',
+        '<p><a href="{{link}}">ยืนยันอีเมล</a></p>',
+        '<p>ลิงก์นี้จะหมดอายุใน {{expiresIn}} อีเมลของคุณจะยังไม่เปลี่ยนจนกว่าจะยืนยัน</p>'
+      ].join('\n')
+    }
+  },
+  email_change_notice: {
+    en: {
+      subject: 'Your {{appName}} email address is being changed',
+      text: [
+        'Hello {{user.displayName}},',
+        '',
+        'A request was made to change the email address of your account to {{newEmail}}.',
+        'The change takes effect once it is confirmed from the new address.',
+        '',
+        'If you did not request this, please change your password and contact support.'
+      ].join('\n'),
+      html: [
+        '<p>Hello {{user.displayName}},</p>',
+        '<p>A request was made to change the email address of your account to {{newEmail}}.</p>',
+        '<p>The change takes effect once it is confirmed from the new address.</p>',
+        '<p>If you did not request this, please change your password and contact support.</p>'
+      ].join('\n')
+    },
+    th: {
+      subject: 'มีการขอเปลี่ยนอีเมลของบัญชี {{appName}} ของคุณ',
+      text: [
+        'สวัสดีคุณ {{user.displayName}}',
+        '',
+        'มีการขอเปลี่ยนอีเมลของบัญชีคุณเป็น {{newEmail}}',
+        'การเปลี่ยนแปลงจะมีผลเมื่อยืนยันจากอีเมลใหม่แล้ว',
+        '',
+        'หากคุณไม่ได้ขอเปลี่ยนอีเมล กรุณาเปลี่ยนรหัสผ่านและติดต่อผู้ดูแลระบบ'
+      ].join('\n'),
+      html: [
+        '<p>สวัสดีคุณ {{user.displayName}}</p>',
+        '<p>มีการขอเปลี่ยนอีเมลของบัญชีคุณเป็น {{newEmail}}</p>',
+        '<p>การเปลี่ยนแปลงจะมีผลเมื่อยืนยันจากอีเมลใหม่แล้ว</p>',
+        '<p>หากคุณไม่ได้ขอเปลี่ยนอีเมล กรุณาเปลี่ยนรหัสผ่านและติดต่อผู้ดูแลระบบ</p>'
+      ].join('\n')
+    }
+  }
+};
+
+// Duration units by language: [singular, plural]
+const DURATION_UNITS = {
+  en: { day: ['day', 'days'], hour: ['hour', 'hours'], minute: ['minute', 'minutes'] },
+  th: { day: ['วัน', 'วัน'], hour: ['ชั่วโมง', 'ชั่วโมง'], minute: ['นาที', 'นาที'] }
+};
+
+// Language used when neither the service nor the defaults have the user's language
+const getDefaultLanguage = () => process.env.MAIL_DEFAULT_LANGUAGE || 'en';
+
+// Languages to try for a user preference, most specific first (e.g. "th-TH", "th", default)
+const getLanguageCandidates = (language) => {
+  const preferred = (language || '').toLowerCase();
+  
+  return [preferred, preferred.split('-')[0], getDefaultLanguage(), 'en']
+    .filter((candidate, index, all) => candidate && all.indexOf(candidate) === index);
+};
+
+// Human-readable duration until a date (e.g. "15 minutes", "24 ชั่วโมง")
+const formatDuration = (expiresAt, language = 'en') => {
+  const units = DURATION_UNITS[getLanguageCandidates(language).find(candidate => DURATION_UNITS[candidate])];
+  const minutes = Math.max(Math.round((new Date(expiresAt).getTime() - Date.now()) / 60000), 1);
+  
+  const format = (value, unit) => `${value} ${units[unit][value === 1 ? 0 : 1]}`;
+  
+  if (minutes % 1440 === 0) {
+    return format(minutes / 1440, 'day');
+  }
+  
+  if (minutes % 60 === 0) {
+    return format(minutes / 60, 'hour');
+  }
+  
+  return format(minutes, 'minute');
+};
+
+// Escape a value for safe inclusion in HTML
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// Replace {{path.to.value}} placeholders; unknown placeholders render as empty strings
+const renderString = (template, variables, escape = false) => {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+    const value = key.split('.').reduce((obj, part) => (obj == null ? undefined : obj[part]), variables);
+    
+    if (value === undefined || value === null) {
+      return '';
+    }
+    
+    return escape ? escapeHtml(value) : String(value);
+  });
+};
+
+// Find the template for a user's language: the service's own template first, then the defaults
+const resolveTemplate = (name, language, service = null) => {
+  if (!TEMPLATES[name]) {
+    throw new Error(`Unknown mail template: ${name}`);
+  }
+  
+  const serviceTemplates = (service && service.emailTemplates) || [];
+  
+  for (const candidate of getLanguageCandidates(language)) {
+    const serviceTemplate = serviceTemplates.find(t => t.template === name && t.language === candidate);
+    
+    if (serviceTemplate) {
+      return { language: candidate, template: serviceTemplate };
+    }
+    
+    if (TEMPLATES[name][candidate]) {
+      return { language: candidate, template: TEMPLATES[name][candidate] };
+    }
+  }
+  
+  return { language: 'en', template: TEMPLATES[name].en };
+};
+
+// Render a named template into a subject, plain text body and HTML body
+const renderTemplate = (name, variables = {}, { language = null, service = null } = {}) => {
+  const resolved = resolveTemplate(name, language, service);
+  const { template } = resolved;
+  
+  return {
+    language: resolved.language,
+    subject: renderString(template.subject, variables),
+    text: renderString(template.text, variables),
+    // Services may provide a text-only template
+    html: template.html ? renderString(template.html, variables, true) : ''
+  };
+};
+
+module.exports = {
+  TEMPLATES,
+  formatDuration,
+  renderString,
+  renderTemplate
+};
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { MailMessage, Service } = require('../models');
+const { getMailConfig } = require('../config/mail.config');
+const { renderTemplate, formatDuration } = require('./mailTemplates');
+const logger = require('./logger');
+
+// Transport factories; each returns an object with an async sendMail(message) method
+const transportFactories = {
+  // Deliver through an SMTP server
+  smtp: (config) => nodemailer.createTransport(config.smtp),
+  
+  // Write each message as an .eml file to the outbox directory (for local testing)
+  file: (config) => {
+    const streamTransport = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    
+    return {
+      sendMail: async (message) => {
+        const info = await streamTransport.sendMail(message);
+        const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+        
+        await fs.promises.mkdir(config.outboxDir, { recursive: true });
+        await fs.promises.writeFile(path.join(config.outboxDir, fileName), info.message);
+        
+        return info;
+      }
+    };
+  }
+};
+
+let transport = null;
+let isProcessing = false;
+
+// Register an additional transport (e.g. a provider API) under a name usable in MAIL_TRANSPORT
+const registerTransport = (name, factory) => {
+  transportFactories[name] = factory;
+  transport = null;
+};
+
+// Get the configured transport, creating it on first use
+const getTransport = () => {
+  if (!transport) {
+    const config = getMailConfig();
+    const factory = transportFactories[config.transport];
+    
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${config.transport}`);
+    }
+    
+    transport = factory(config);
+  }
+  
+  return transport;
+};
+
+// Send due messages from the queue, retrying failures with backoff
+const processMailQueue = async () => {
+  // Only one batch at a time per process
+  if (isProcessing) {
+    return;
+  }
+  
+  isProcessing = true;
+  
+  try {
+    const config = getMailConfig();
+    
+    await MailMessage.releaseStale();
+    
+    let message = await MailMessage.claimNext();
+    while (message) {
+      try {
+        await getTransport().sendMail({
+          from: config.from,
+          to: message.to,
+          subject: message.subject,
+          text: message.text,
+          html: message.html
+        });
+        
+        await message.markSent();
+      } catch (error) {
+        logger.error(`Failed to send ${message.template} email to ${message.to} (attempt ${message.attempts}): ${error.message}`);
+        await message.markFailed(error, config.retryBaseSeconds);
+      }
+      
+      message = await MailMessage.claimNext();
+    }
+  } finally {
+    isProcessing = false;
+  }
+};
+
+// Render a template and add the message to the persistent send queue
+// The service's own template for the language is used when it has one, otherwise the default
+const queueMail = async ({ to, template, variables = {}, language = null, service = null, userId = null }) => {
+  const config = getMailConfig();
+  const { subject, text, html } = renderTemplate(template, {
+    appName: service ? service.name : config.appName,
+    ...variables
+  }, { language, service });
+  
+  const message = await MailMessage.create({
+    to,
+    template,
+    subject,
+    text,
+    html,
+    userId,
+    serviceId: service ? service._id : null,
+    maxAttempts: config.maxAttempts
+  });
+  
+  // Try to deliver right away; the scheduled run picks up anything left over
+  setImmediate(() => {
+    processMailQueue().catch((error) => {
+      logger.error(`Mail queue processing failed: ${error.message}`);
+    });
+  });
+  
+  return message;
+};
+
+// Preferred language from the user's profile (null: use the default)
+const getUserLanguage = (user) => {
+  const preferences = (user.metadata && user.metadata.preferences) || {};
+  return preferences.language || null;
+};
+
+// Queue an email about a user's account, in their preferred language and with the service's templates
+const queueUserMail = async (template, user, { to = null, serviceId = null, variables = {} } = {}) => {
+  const service = serviceId ? await Service.findById(serviceId) : null;
+  
+  return queueMail({
+    to: to || user.email,
+    template,
+    variables: {
+      user: {
+        username: user.username,
+        displayName: user.displayName,
+        email: user.email
+      },
+      service: service ? { name: service.name, description: service.description } : null,
+      ...variables
+    },
+    language: getUserLanguage(user),
+    service,
+    userId: user._id
+  });
+};
+
+// Queue an email containing a single-use token link
+const queueTokenMail = (template, user, tokenDoc, link, { to = null, variables = {} } = {}) => {
+  return queueUserMail(template, user, {
+    to,
+    serviceId: tokenDoc.metadata ? tokenDoc.metadata.serviceId : null,
+    variables: {
+      link,
+      expiresIn: formatDuration(tokenDoc.expiresAt, getUserLanguage(user)),
+      ...variables
+    }
+  });
+};
+
+// Process the queue periodically
+const startMailQueue = () => {
+  const run = () => {
+    processMailQueue().catch((error) => {
+      logger.error(`Mail queue processing failed: ${error.message}`);
+    });
+  };
+  
+  run();
+  
+  const timer = setInterval(run, getMailConfig().pollIntervalSeconds * 1000);
+  timer.unref();
+  
+  return timer;
+};
+
+module.exports = {
+  registerTransport,
+  queueMail,
+  queueUserMail,
+  queueTokenMail,
+  processMailQueue,
+  startMailQueue
+};
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const argon2 = require('argon2');
+const { getPasswordHashConfig } = require('../config/password.config');
+
+// Compare two strings without leaking where they differ
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+// Hash formats; each can recognise and verify its own hashes, and current ones can create them.
+// Legacy formats are only verified, so users imported with them are upgraded on their next login:
+//   $pbkdf2-<sha1|sha256|sha512>$<iterations>$<base64 salt>$<base64 hash>
+//   $salted-sha256$<salt>$<hex SHA-256 of salt + password>
+const hashers = {
+  bcrypt: {
+    identify: (hash) => /^\$2[aby]\$\d{2}\$/.test(hash),
+    hash: async (password, config) => bcrypt.hash(password, await bcrypt.genSalt(config.cost)),
+    verify: (password, hash) => bcrypt.compare(password, hash),
+    needsRehash: (hash, config) => bcrypt.getRounds(hash) !== config.cost
+  },
+  
+  argon2id: {
+    identify: (hash) => hash.startsWith('$argon2id$'),
+    hash: (password, config) => argon2.hash(password, { type: argon2.argon2id, ...config }),
+    verify: (password, hash) => argon2.verify(hash, password),
+    needsRehash: (hash, config) => argon2.needsRehash(hash, config)
+  },
+  
+  pbkdf2: {
+    legacy: true,
+    identify: (hash) => /^\$pbkdf2-(sha1|sha256|sha512)\$\d+\$[^$]+\$[^$]+$/.test(hash),
+    verify: async (password, hash) => {
+      const [, scheme, iterations, salt, expected] = hash.split('$');
+      // Also accept the "adapted base64" used by passlib (. instead of +, no padding)
+      const expectedBuffer = Buffer.from(expected.replace(/\./g, '+'), 'base64');
+      const derived = await new Promise((resolve, reject) => {
+        crypto.pbkdf2(
+          password,
+          Buffer.from(salt.replace(/\./g, '+'), 'base64'),
+          parseInt(iterations, 10),
+          expectedBuffer.length,
+          scheme.replace('pbkdf2-', ''),
+          (error, key) => (error ? reject(error) : resolve(key))
+        );
+      });
+      
+      return expectedBuffer.length > 0 && crypto.timingSafeEqual(derived, expectedBuffer);
+    }
+  },
+  
+  'salted-sha256': {
+    legacy: true,
+    identify: (hash) => /^\$salted-sha256\$[^$]*\$[0-9a-fA-F]{64}$/.test(hash),
+    verify: async (password, hash) => {
+      const [, , salt, expected] = hash.split('$');
+      const digest = crypto.createHash('sha256').update(salt + password, 'utf8').digest('hex');
+      return safeEqual(digest, expected.toLowerCase());
+    }
+  }
+};
+
+// Find the format of a stored hash; null when it isn't recognised
+const identifyHash = (hash) => {
+  if (typeof hash !== 'string') {
+    return null;
+  }
+  
+  return Object.keys(hashers).find(name => hashers[name].identify(hash)) || null;
+};
+
+// Hash a password with the configured algorithm
+const hashPassword = async (password) => {
+  const config = getPasswordHashConfig();
+  const hasher = hashers[config.algorithm];
+  
+  if (!hasher || hasher.legacy) {
+    throw new Error(`Unsupported password hash algorithm: ${config.algorithm}`);
+  }
+  
+  return hasher.hash(password, config[config.algorithm]);
+};
+
+// Verify a password against a stored hash of any supported format
+const verifyPassword = async (password, hash) => {
+  const name = identifyHash(hash);
+  
+  if (!name || typeof password !== 'string') {
+    return false;
+  }
+  
+  return hashers[name].verify(password, hash);
+};
+
+// Check whether a hash should be replaced: legacy format, other algorithm or outdated parameters
+const needsRehash = (hash) => {
+  const config = getPasswordHashConfig();
+  const name = identifyHash(hash);
+  
+  if (name !== config.algorithm) {
+    return true;
+  }
+  
+  return hashers[name].needsRehash(hash, config[name]);
+};
+
+module.exports = {
+  identifyHash,
+  hashPassword,
+  verifyPassword,
+  needsRehash
+};
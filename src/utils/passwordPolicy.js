@@ -0,0 +1,154 @@
+const { Service, UserService } = require('../models');
+const { getBasePasswordPolicy } = require('../config/password.config');
+const { APIError } = require('./error.handler');
+const { isBreachedPassword } = require('./breachedPasswords');
+
+// Character class rules: [policy flag, pattern, failure message]
+const CHARACTER_RULES = [
+  ['requireUppercase', /\p{Lu}/u, 'Password must contain at least one uppercase letter'],
+  ['requireLowercase', /\p{Ll}/u, 'Password must contain at least one lowercase letter'],
+  ['requireNumbers', /\p{Nd}/u, 'Password must contain at least one number'],
+  ['requireSymbols', /[^\p{L}\p{N}\s]/u, 'Password must contain at least one symbol']
+];
+
+// Screening rules that can be switched on by the baseline policy or any service
+const SCREENING_RULES = ['rejectBreached', 'rejectPersonalInfo'];
+
+// Shortest part of a username, email or name that a password may not contain
+const MIN_PERSONAL_INFO_LENGTH = 3;
+
+// Combine the baseline policy with service policies, keeping the strictest value of each rule
+const getPasswordPolicy = (services = []) => {
+  return services.reduce((policy, service) => {
+    const servicePolicy = (service && service.config && service.config.passwordPolicy) || {};
+    
+    if (typeof servicePolicy.minLength === 'number') {
+      policy.minLength = Math.min(Math.max(policy.minLength, servicePolicy.minLength), policy.maxLength);
+    }
+    
+    [...CHARACTER_RULES.map(([rule]) => rule), ...SCREENING_RULES].forEach((rule) => {
+      policy[rule] = policy[rule] || servicePolicy[rule] === true;
+    });
+    
+    if (typeof servicePolicy.historySize === 'number') {
+      policy.historySize = Math.max(policy.historySize, servicePolicy.historySize);
+    }
+    
+    // The shortest configured maximum age applies (0 means no maximum)
+    if (typeof servicePolicy.maxAgeDays === 'number' && servicePolicy.maxAgeDays > 0) {
+      policy.maxAgeDays = policy.maxAgeDays > 0
+        ? Math.min(policy.maxAgeDays, servicePolicy.maxAgeDays)
+        : servicePolicy.maxAgeDays;
+    }
+    
+    return policy;
+  }, getBasePasswordPolicy());
+};
+
+// Policy for a user: the strictest across the active services they belong to
+const getUserPasswordPolicy = async (userId) => {
+  const memberships = await UserService.find({ userId, serviceId: { $ne: null } }).select('serviceId');
+  
+  const services = await Service.find({
+    _id: { $in: memberships.map(membership => membership.serviceId) },
+    active: true
+  }).select('config.passwordPolicy');
+  
+  return getPasswordPolicy(services);
+};
+
+// Parts of a user's details that shouldn't appear in their password (lowercase)
+const getPersonalInfo = ({ username, email, displayName } = {}) => {
+  const emailName = email ? String(email).split('@')[0] : '';
+  
+  return [username, email, emailName, displayName, ...String(displayName || '').split(/\s+/), ...emailName.split(/[._+-]+/)]
+    .filter(Boolean)
+    .map(value => String(value).toLowerCase())
+    .filter(value => [...value].length >= MIN_PERSONAL_INFO_LENGTH);
+};
+
+// Check a password against a policy; returns one { rule, message } entry per failed rule
+// The context holds the user's username, email and displayName for the personal information check
+const checkPassword = async (password, policy, context = {}) => {
+  const failures = [];
+  const value = String(password || '');
+  const length = [...value].length;
+  
+  if (length < policy.minLength) {
+    failures.push({ rule: 'minLength', message: `Password must be at least ${policy.minLength} characters long`, value: policy.minLength });
+  }
+  
+  if (length > policy.maxLength) {
+    failures.push({ rule: 'maxLength', message: `Password must be at most ${policy.maxLength} characters long`, value: policy.maxLength });
+  }
+  
+  CHARACTER_RULES.forEach(([rule, pattern, message]) => {
+    if (policy[rule] && !pattern.test(value)) {
+      failures.push({ rule, message });
+    }
+  });
+  
+  if (policy.rejectPersonalInfo) {
+    const lowerValue = value.toLowerCase();
+    
+    if (getPersonalInfo(context).some(part => lowerValue.includes(part))) {
+      failures.push({ rule: 'rejectPersonalInfo', message: 'Password must not contain your username, email address or name' });
+    }
+  }
+  
+  // Checked offline against the bundled list (see scripts/build-breached-passwords.js)
+  if (policy.rejectBreached && value && await isBreachedPassword(value)) {
+    failures.push({ rule: 'rejectBreached', message: 'Password is too common or has appeared in a data breach' });
+  }
+  
+  return failures;
+};
+
+// Build the error returned for failed rules, or null when there are none
+const toPolicyError = (failures) => {
+  if (failures.length === 0) {
+    return null;
+  }
+  
+  return new APIError('Password does not meet the password policy', 400, failures);
+};
+
+// Validate a password against a policy; returns an APIError listing the failed rules, or null
+const validatePassword = async (password, policy, context = {}) => {
+  return toPolicyError(await checkPassword(password, policy, context));
+};
+
+// Validate a user's new password, including reuse of previous passwords
+// Requires the user's password and passwordHistory to be selected
+const validateNewPassword = async (user, password, policy) => {
+  const failures = await checkPassword(password, policy, user);
+  
+  if (policy.historySize > 0 && await user.isPasswordReused(password, policy.historySize)) {
+    failures.push({
+      rule: 'history',
+      message: `Password must not match any of your last ${policy.historySize} passwords`,
+      value: policy.historySize
+    });
+  }
+  
+  return toPolicyError(failures);
+};
+
+// Check whether a user's password is older than the policy's maximum age
+const isPasswordExpired = (user, policy) => {
+  if (!policy.maxAgeDays || policy.maxAgeDays <= 0) {
+    return false;
+  }
+  
+  const changedAt = user.passwordChangedAt || user.createdAt;
+  return !!changedAt && changedAt.getTime() + policy.maxAgeDays * 24 * 60 * 60 * 1000 < Date.now();
+};
+
+module.exports = {
+  getPasswordPolicy,
+  getUserPasswordPolicy,
+  checkPassword,
+  validatePassword,
+  validateNewPassword,
+  isPasswordExpired
+};
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const { RequestNonce } = require('../models');
+const { APIError } = require('./error.handler');
+
+// Nonces are random strings of URL-safe characters
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+// How far (in seconds) a request's timestamp may be from the server's clock
+const getMaxAgeSeconds = () => parseInt(process.env.SIGNED_REQUEST_MAX_AGE_SECONDS || '300', 10);
+
+// SHA-256 hex digest of a request body (empty for requests without one)
+const digestBody = (body) => crypto.createHash('sha256').update(body || '').digest('hex');
+
+// The string a client signs: timestamp, nonce, method, path with query string and body digest, one per line
+const buildStringToSign = ({ timestamp, nonce, method, url, body }) => {
+  return [String(timestamp), nonce, method.toUpperCase(), url, digestBody(body)].join('\n');
+};
+
+// HMAC-SHA256 signature (hex) of a request with the service's signing secret
+const signRequest = (signingKey, request) => {
+  return crypto.createHmac('sha256', signingKey).update(buildStringToSign(request)).digest('hex');
+};
+
+// Check the HMAC signature headers of a request for a service; returns an APIError or null.
+// The service must be loaded with +signingSecret. Each nonce is accepted once.
+const verifyRequestSignature = async (req, service) => {
+  const timestamp = req.headers['x-signature-timestamp'];
+  const nonce = req.headers['x-signature-nonce'];
+  const signature = req.headers['x-signature'];
+  
+  if (!timestamp || !nonce || !signature) {
+    return new APIError('Signed requests require X-Signature-Timestamp, X-Signature-Nonce and X-Signature headers.', 401);
+  }
+  
+  // Reject requests signed too long ago (or too far in the future)
+  const maxAge = getMaxAgeSeconds();
+  const signedAt = parseInt(timestamp, 10);
+  
+  if (!/^\d+$/.test(timestamp) || Math.abs(Math.floor(Date.now() / 1000) - signedAt) > maxAge) {
+    return new APIError('Request signature has expired. Check the request timestamp.', 401);
+  }
+  
+  if (!NONCE_PATTERN.test(nonce)) {
+    return new APIError('Invalid request nonce.', 401);
+  }
+  
+  const signingKey = service.getRequestSigningKey();
+  
+  // Services created before request signing have no signing secret until their credentials are regenerated
+  if (!signingKey) {
+    return new APIError('This service has no signing secret. Regenerate its credentials to sign requests.', 401);
+  }
+  
+  const expected = Buffer.from(signRequest(signingKey, {
+    timestamp,
+    nonce,
+    method: req.method,
+    url: req.originalUrl,
+    body: req.rawBody
+  }));
+  const received = Buffer.from(String(signature).toLowerCase());
+  
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return new APIError('Invalid request signature.', 401);
+  }
+  
+  // Only claim the nonce for correctly signed requests, so others cannot use up a client's nonces
+  const isNewNonce = await RequestNonce.claim(service._id, nonce, new Date((signedAt + maxAge) * 1000));
+  
+  if (!isNewNonce) {
+    return new APIError('Request nonce has already been used.', 401);
+  }
+  
+  return null;
+};
+
+module.exports = {
+  buildStringToSign,
+  signRequest,
+  verifyRequestSignature
+};
@@ -20,7 +20,7 @@ const createAdminUser = async () => {
         name: 'admin',
         description: 'System administrator with full access',
         isGlobal: true,
-        permissions: ['user:read', 'user:write', 'user:delete', 'role:read', 'role:write', 'service:read', 'service:write']
+        permissions: ['user:read', 'user:write', 'user:delete', 'user:impersonate', 'user:recover', 'role:read', 'role:write', 'service:read', 'service:write']
       });
       logger.info('Admin role created successfully');
     }
@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { SigningKey } = require('../models');
+const { encrypt, decrypt } = require('./encryption');
+const { parseDuration, getMaxLifetimes } = require('../config/token.config');
+const logger = require('./logger');
+
+// How long loaded keys are trusted before re-reading the store (other instances may rotate)
+const CACHE_TTL_MS = 60 * 1000;
+// Minimum time between reloads triggered by an unknown key ID
+const UNKNOWN_KID_RELOAD_MS = 10 * 1000;
+// Extra time an old key stays published to absorb clock skew
+const RETIREMENT_GRACE_SECONDS = 5 * 60;
+
+let cache = {
+  loadedAt: 0,
+  current: null,
+  keys: new Map()
+};
+
+// Algorithm used for newly generated keys (RS256 or ES256)
+const getSigningAlgorithm = () => {
+  const algorithm = process.env.JWT_SIGNING_ALGORITHM || 'RS256';
+  
+  if (!['RS256', 'ES256'].includes(algorithm)) {
+    throw new Error(`Unsupported JWT_SIGNING_ALGORITHM: ${algorithm}`);
+  }
+  
+  return algorithm;
+};
+
+// Longest lifetime of any token signed with these keys
+const getMaxTokenLifetimeSeconds = () => {
+  return Math.max(
+    getMaxLifetimes().accessToken,
+    parseDuration(process.env.SERVICE_TOKEN_EXPIRES_IN || '1h'),
+    parseDuration(process.env.OIDC_ID_TOKEN_EXPIRES_IN || '1h')
+  );
+};
+
+// Compute the RFC 7638 JWK thumbprint used as key ID
+const getJwkThumbprint = (jwk) => {
+  const members = jwk.kty === 'EC'
+    ? { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y }
+    : { e: jwk.e, kty: jwk.kty, n: jwk.n };
+  
+  return crypto.createHash('sha256').update(JSON.stringify(members)).digest('base64url');
+};
+
+// Build the public JWK published for a stored key
+const toPublicJwk = (keyDoc) => {
+  const jwk = crypto.createPublicKey(keyDoc.publicKey).export({ format: 'jwk' });
+  
+  return {
+    ...jwk,
+    kid: keyDoc.kid,
+    use: 'sig',
+    alg: keyDoc.algorithm
+  };
+};
+
+// Generate and store a new active signing key
+const createSigningKey = async () => {
+  const algorithm = getSigningAlgorithm();
+  const { privateKey, publicKey } = algorithm === 'ES256'
+    ? crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' })
+    : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  
+  const keyDoc = await SigningKey.create({
+    kid: getJwkThumbprint(publicKey.export({ format: 'jwk' })),
+    algorithm,
+    publicKey: publicKey.export({ format: 'pem', type: 'spki' }),
+    privateKey: encrypt(privateKey.export({ format: 'pem', type: 'pkcs8' }))
+  });
+  
+  logger.info(`Created ${algorithm} signing key ${keyDoc.kid}`);
+  
+  return keyDoc;
+};
+
+// Load all keys that can still verify tokens into the cache
+const loadKeys = async () => {
+  const keyDocs = await SigningKey.findVerificationKeys().select('+privateKey');
+  const keys = new Map();
+  let current = null;
+  
+  keyDocs.forEach((keyDoc) => {
+    keys.set(keyDoc.kid, keyDoc);
+    
+    // Keys are sorted newest first; the newest active key signs
+    if (!current && keyDoc.status === 'active') {
+      current = keyDoc;
+    }
+  });
+  
+  cache = { loadedAt: Date.now(), current, keys };
+  return cache;
+};
+
+// Forget cached keys so the next lookup reads the store
+const clearKeyCache = () => {
+  cache = { loadedAt: 0, current: null, keys: new Map() };
+};
+
+// Get the key used to sign new tokens, creating one if the store is empty
+const getCurrentSigningKey = async () => {
+  if (!cache.current || Date.now() - cache.loadedAt > CACHE_TTL_MS) {
+    await loadKeys();
+  }
+  
+  if (!cache.current) {
+    await createSigningKey();
+    await loadKeys();
+  }
+  
+  return {
+    kid: cache.current.kid,
+    algorithm: cache.current.algorithm,
+    privateKey: decrypt(cache.current.privateKey)
+  };
+};
+
+// Get the public key for a key ID, or null if it is unknown or retired
+const getVerificationKey = async (kid) => {
+  const isStale = Date.now() - cache.loadedAt > CACHE_TTL_MS;
+  const mayReload = Date.now() - cache.loadedAt > UNKNOWN_KID_RELOAD_MS;
+  
+  // Reload periodically, and sooner when a key was created by another instance
+  if (isStale || (!cache.keys.has(kid) && mayReload)) {
+    await loadKeys();
+  }
+  
+  const keyDoc = cache.keys.get(kid);
+  
+  return keyDoc ? { algorithm: keyDoc.algorithm, publicKey: keyDoc.publicKey } : null;
+};
+
+// Sign a payload with the current key
+const signToken = async (payload, options = {}) => {
+  const { kid, algorithm, privateKey } = await getCurrentSigningKey();
+  
+  return jwt.sign(payload, privateKey, {
+    ...options,
+    algorithm,
+    keyid: kid
+  });
+};
+
+// Verify a token against the key named in its header
+const verifyToken = async (token, options = {}) => {
+  const decoded = jwt.decode(token, { complete: true });
+  
+  if (!decoded || !decoded.header.kid) {
+    throw new jwt.JsonWebTokenError('invalid token');
+  }
+  
+  const key = await getVerificationKey(decoded.header.kid);
+  
+  if (!key) {
+    throw new jwt.JsonWebTokenError('unknown signing key');
+  }
+  
+  return jwt.verify(token, key.publicKey, {
+    ...options,
+    algorithms: [key.algorithm]
+  });
+};
+
+// Get the JSON Web Key Set of all keys that can still verify tokens
+const getPublicJwks = async () => {
+  const keyDocs = await SigningKey.findVerificationKeys();
+  
+  return {
+    keys: keyDocs.map(toPublicJwk)
+  };
+};
+
+// Rotate the signing key when it is due (or when forced) and retire keys whose tokens have expired
+const rotateSigningKeys = async ({ force = false } = {}) => {
+  const now = new Date();
+  const rotationIntervalMs = parseInt(process.env.SIGNING_KEY_ROTATION_DAYS || '30', 10) * 24 * 60 * 60 * 1000;
+  
+  // Stop publishing keys once every token they signed has expired
+  const retired = await SigningKey.updateMany(
+    { status: 'rotated', retireAfter: { $lte: now } },
+    { $set: { status: 'retired' } }
+  );
+  
+  if (retired.modifiedCount > 0) {
+    logger.info(`Retired ${retired.modifiedCount} signing key(s)`);
+  }
+  
+  const current = await SigningKey.findCurrentKey();
+  const isDue = !current ||
+    current.algorithm !== getSigningAlgorithm() ||
+    now - current.createdAt >= rotationIntervalMs;
+  
+  if (!force && !isDue) {
+    clearKeyCache();
+    return { rotated: false, kid: current.kid, retiredCount: retired.modifiedCount };
+  }
+  
+  const keyDoc = await createSigningKey();
+  
+  // Previous keys stop signing but keep verifying until their tokens expire
+  await SigningKey.updateMany(
+    { status: 'active', _id: { $ne: keyDoc._id } },
+    {
+      $set: {
+        status: 'rotated',
+        rotatedAt: now,
+        retireAfter: new Date(now.getTime() + (getMaxTokenLifetimeSeconds() + RETIREMENT_GRACE_SECONDS) * 1000)
+      }
+    }
+  );
+  
+  clearKeyCache();
+  
+  return { rotated: true, kid: keyDoc.kid, retiredCount: retired.modifiedCount };
+};
+
+// Check for due rotations at startup and then periodically
+const startKeyRotationSchedule = () => {
+  const intervalMs = parseInt(process.env.SIGNING_KEY_ROTATION_CHECK_MINUTES || '60', 10) * 60 * 1000;
+  
+  const run = () => {
+    rotateSigningKeys().catch((error) => {
+      logger.error(`Signing key rotation failed: ${error.message}`);
+    });
+  };
+  
+  run();
+  
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  
+  return timer;
+};
+
+module.exports = {
+  getSigningAlgorithm,
+  getCurrentSigningKey,
+  getVerificationKey,
+  signToken,
+  verifyToken,
+  getPublicJwks,
+  rotateSigningKeys,
+  startKeyRotationSchedule
+};
@@ -0,0 +1,498 @@
+const crypto = require('crypto');
+const { User, Token, UserService, Service, Role, AuditLog, RevokedToken, PersonalAccessToken } = require('../models');
+const { APIError } = require('./error.handler');
+const { getIssuer } = require('../config/oidc.config');
+const { getServiceLifetimes } = require('../config/token.config');
+const { signToken, verifyToken } = require('./signingKeys');
+const logger = require('./logger');
+
+// Generate JWT access token signed with the current signing key (lifetime in seconds)
+const generateToken = (user, serviceId = null, sessionId = null, expiresIn = null) => {
+  return signToken(
+    {
+      id: user._id,
+      username: user.username,
+      serviceId: serviceId,
+      sid: sessionId
+    },
+    {
+      expiresIn: expiresIn || getServiceLifetimes().accessToken,
+      jwtid: crypto.randomBytes(16).toString('hex')
+    }
+  );
+};
+
+// Generate a short-lived access token for an admin acting as another user.
+// The `act` claim names the admin; no session or refresh token is created.
+const generateImpersonationToken = (user, actor, serviceId = null) => {
+  return signToken(
+    {
+      id: user._id,
+      username: user.username,
+      serviceId: serviceId,
+      sid: null,
+      act: {
+        sub: actor._id.toString(),
+        username: actor.username
+      }
+    },
+    {
+      expiresIn: process.env.IMPERSONATION_TOKEN_EXPIRES_IN || '15m',
+      jwtid: crypto.randomBytes(16).toString('hex')
+    }
+  );
+};
+
+// Get token and session lifetimes (in seconds) for a service, or the global defaults
+const getTokenLifetimes = async (serviceId = null) => {
+  const service = serviceId ? await Service.findById(serviceId) : null;
+  return getServiceLifetimes(service);
+};
+
+// Access token lifetime for a session: never past the session's absolute timeout
+const getAccessTokenLifetime = (lifetimes, refreshToken) => {
+  const sessionStartedAt = refreshToken.sessionStartedAt || refreshToken.createdAt;
+  const remaining = Math.floor((sessionStartedAt.getTime() + lifetimes.absoluteTimeout * 1000 - Date.now()) / 1000);
+  
+  return Math.max(Math.min(lifetimes.accessToken, remaining), 1);
+};
+
+// Generate a client credentials access token that identifies a service (not a user)
+const generateServiceToken = (service) => {
+  return signToken(
+    {
+      purpose: 'service',
+      serviceId: service._id,
+      client_id: service.apiKey
+    },
+    {
+      subject: service._id.toString(),
+      expiresIn: process.env.SERVICE_TOKEN_EXPIRES_IN || '1h',
+      jwtid: crypto.randomBytes(16).toString('hex')
+    }
+  );
+};
+
+// Map User fields to standard OpenID Connect claims for the granted scopes
+const buildUserClaims = (user, scopes = []) => {
+  const claims = {
+    sub: user._id.toString()
+  };
+  
+  if (scopes.includes('profile')) {
+    claims.preferred_username = user.username;
+    claims.name = user.displayName;
+    claims.picture = user.profileImage || undefined;
+    claims.locale = user.metadata && user.metadata.preferences ? user.metadata.preferences.language : undefined;
+    claims.updated_at = user.updatedAt ? Math.floor(user.updatedAt.getTime() / 1000) : undefined;
+  }
+  
+  if (scopes.includes('email')) {
+    claims.email = user.email;
+    claims.email_verified = user.isEmailVerified;
+  }
+  
+  return claims;
+};
+
+// Generate an OpenID Connect ID token for a client
+const generateIdToken = (user, clientId, { scope = '', nonce = null, accessToken = null } = {}) => {
+  const payload = buildUserClaims(user, scope.split(' '));
+  
+  payload.auth_time = user.lastLoginAt ? Math.floor(user.lastLoginAt.getTime() / 1000) : undefined;
+  
+  if (nonce) {
+    payload.nonce = nonce;
+  }
+  
+  // Bind the ID token to the access token issued alongside it
+  if (accessToken) {
+    const digest = crypto.createHash('sha256').update(accessToken).digest();
+    payload.at_hash = digest.subarray(0, digest.length / 2).toString('base64url');
+  }
+  
+  return signToken(payload, {
+    issuer: getIssuer(),
+    audience: clientId,
+    expiresIn: process.env.OIDC_ID_TOKEN_EXPIRES_IN || '1h'
+  });
+};
+
+// Resolve a user's roles: those of an active service membership, or the global roles without a service.
+// Returns { service, userService, roles } or throws an APIError.
+const resolveUserAccess = async (user, serviceId = null) => {
+  // If no service is specified, use global roles
+  if (!serviceId) {
+    const roles = await Role.find({
+      _id: { $in: await UserService.distinct('roles', { userId: user._id }) },
+      isGlobal: true
+    });
+    
+    return { service: null, userService: null, roles };
+  }
+  
+  // Find the service
+  const service = await Service.findById(serviceId);
+  
+  if (!service) {
+    throw new APIError('Service not found or token is invalid.', 401);
+  }
+  
+  // Check if service is active
+  if (!service.active) {
+    throw new APIError('Service is not active.', 403);
+  }
+  
+  // Find user's relationship with the service
+  const userService = await UserService.findOne({
+    userId: user._id,
+    serviceId: service._id
+  }).populate('roles');
+  
+  if (!userService) {
+    throw new APIError('User does not have access to this service.', 403);
+  }
+  
+  // Check if user's service relationship is active
+  if (userService.status !== 'active') {
+    throw new APIError('User access to this service is not active.', 403);
+  }
+  
+  return { service, userService, roles: userService.roles };
+};
+
+// Verify a JWT access token and resolve its user and the admin impersonating them, if any
+const verifyJwtAccessToken = async (token) => {
+  let decoded;
+  try {
+    // Verify token against the signing key named in its header
+    decoded = await verifyToken(token);
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError') {
+      throw new APIError('Invalid token.', 401);
+    } else if (error.name === 'TokenExpiredError') {
+      throw new APIError('Token expired.', 401);
+    }
+    throw error;
+  }
+  
+  // Reject tokens that are not access tokens (e.g. ID tokens) used as access tokens
+  if (decoded.purpose || !decoded.id) {
+    throw new APIError('Invalid token.', 401);
+  }
+  
+  // Check if the token has been revoked (e.g. on logout)
+  if (decoded.jti && await RevokedToken.isRevoked(decoded.jti)) {
+    throw new APIError('Token has been revoked.', 401);
+  }
+  
+  // Check if user exists
+  const user = await User.findById(decoded.id);
+  
+  if (!user) {
+    throw new APIError('User not found or token is invalid.', 401);
+  }
+  
+  // Check if user is active
+  if (user.status !== 'active') {
+    throw new APIError('User account is not active.', 403);
+  }
+  
+  // Check if all of the user's tokens were revoked after this one was issued
+  if (user.isTokenIssuedBeforeRevocation(decoded.iat)) {
+    throw new APIError('Token has been revoked.', 401);
+  }
+  
+  // Impersonation tokens are only valid while the acting admin's account is active and not revoked
+  let impersonator = null;
+  if (decoded.act) {
+    impersonator = await User.findById(decoded.act.sub);
+    
+    if (!impersonator || impersonator.status !== 'active' ||
+        impersonator.isTokenIssuedBeforeRevocation(decoded.iat)) {
+      throw new APIError('Impersonation is no longer valid.', 401);
+    }
+  }
+  
+  return { decoded, user, impersonator, ...await resolveUserAccess(user, decoded.serviceId) };
+};
+
+// Verify a personal access token and resolve its user.
+// `decoded` holds claims equivalent to those of a JWT so callers can treat both alike.
+// With `recordUse: false` the token's last use is left untouched (e.g. for introspection).
+const verifyPersonalAccessToken = async (token, { recordUse = true } = {}) => {
+  const personalAccessToken = await PersonalAccessToken.findByToken(token);
+  
+  if (!personalAccessToken) {
+    throw new APIError('Invalid token.', 401);
+  }
+  
+  if (personalAccessToken.isExpired()) {
+    throw new APIError('Token expired.', 401);
+  }
+  
+  // Check if user exists
+  const user = await User.findById(personalAccessToken.userId);
+  
+  if (!user) {
+    throw new APIError('User not found or token is invalid.', 401);
+  }
+  
+  // Check if user is active
+  if (user.status !== 'active') {
+    throw new APIError('User account is not active.', 403);
+  }
+  
+  const issuedAt = Math.floor(personalAccessToken.createdAt.getTime() / 1000);
+  
+  // Tokens created before the user's tokens were revoked (e.g. on suspension) are no longer valid
+  if (user.isTokenIssuedBeforeRevocation(issuedAt)) {
+    throw new APIError('Token has been revoked.', 401);
+  }
+  
+  const access = await resolveUserAccess(user, personalAccessToken.serviceId);
+  
+  if (recordUse) {
+    await personalAccessToken.recordUse();
+  }
+  
+  const decoded = {
+    id: user._id.toString(),
+    username: user.username,
+    serviceId: personalAccessToken.serviceId,
+    sid: null,
+    pat: personalAccessToken._id.toString(),
+    scope: personalAccessToken.scopes.join(' '),
+    iat: issuedAt,
+    exp: Math.floor(personalAccessToken.expiresAt.getTime() / 1000)
+  };
+  
+  return { decoded, user, impersonator: null, personalAccessToken, ...access };
+};
+
+// Verify an access token (a JWT or a personal access token) and resolve its user, service and roles.
+// Returns { decoded, user, service, userService, roles, impersonator, personalAccessToken } or throws an APIError.
+// `impersonator` is the admin acting as the user, or null for the user's own tokens.
+// `personalAccessToken` is the token document when a personal access token was used, otherwise null.
+// Pass `{ recordUse: false }` to check a token without marking it as used.
+const verifyAccessToken = async (token, options = {}) => {
+  if (PersonalAccessToken.isPersonalAccessToken(token)) {
+    return verifyPersonalAccessToken(token, options);
+  }
+  
+  return { personalAccessToken: null, ...await verifyJwtAccessToken(token) };
+};
+
+// Check that a user has active access to a service; returns an APIError or null
+const checkServiceAccess = async (userId, serviceId) => {
+  const userService = await UserService.findOne({
+    userId,
+    serviceId
+  });
+  
+  if (!userService) {
+    return new APIError('You do not have access to this service', 403);
+  }
+  
+  if (userService.status !== 'active') {
+    return new APIError('Your access to this service is suspended', 403);
+  }
+  
+  return null;
+};
+
+// Complete login: update last login time and issue access + refresh tokens
+const issueLoginTokens = async (req, user, serviceId = null) => {
+  // Update last login time and clear failed attempts
+  user.lastLoginAt = new Date();
+  user.resetFailedLogins();
+  await user.save();
+  
+  // Generate refresh token with the service's session lifetimes
+  const lifetimes = await getTokenLifetimes(serviceId);
+  const refreshToken = await Token.generateRefreshToken(
+    user._id,
+    serviceId,
+    req.headers['x-forwarded-for'] || req.connection.remoteAddress,
+    req.headers['user-agent'] || '',
+    lifetimes
+  );
+  
+  // Generate JWT token bound to the new session
+  const token = await generateToken(
+    user,
+    serviceId,
+    refreshToken.getSessionId(),
+    getAccessTokenLifetime(lifetimes, refreshToken)
+  );
+  
+  return {
+    token,
+    refreshToken: refreshToken.token,
+    user: {
+      _id: user._id,
+      username: user.username,
+      email: user.email,
+      displayName: user.displayName,
+      profileImage: user.profileImage,
+      status: user.status,
+      isEmailVerified: user.isEmailVerified,
+      lastLoginAt: user.lastLoginAt
+    }
+  };
+};
+
+// Exchange the current login for a new session scoped to another service (or to no service)
+const exchangeSessionTokens = async (req, user, serviceId = null) => {
+  // Keep the original login time so exchanging cannot extend the absolute session timeout
+  const currentSession = req.sessionId ? await Token.findActiveSession(user._id, req.sessionId) : null;
+  const startedAt = currentSession ? (currentSession.sessionStartedAt || currentSession.createdAt) : null;
+  
+  const lifetimes = await getTokenLifetimes(serviceId);
+  const refreshToken = await Token.generateRefreshToken(
+    user._id,
+    serviceId,
+    req.headers['x-forwarded-for'] || req.connection.remoteAddress,
+    req.headers['user-agent'] || '',
+    lifetimes,
+    null,
+    startedAt
+  );
+  
+  return {
+    token: await generateToken(
+      user,
+      serviceId,
+      refreshToken.getSessionId(),
+      getAccessTokenLifetime(lifetimes, refreshToken)
+    ),
+    refreshToken
+  };
+};
+
+// Revoke a refresh token family after reuse of a rotated token and record a security event
+const revokeReusedTokenFamily = async (req, tokenDoc) => {
+  const result = await Token.revokeFamily(tokenDoc);
+  
+  logger.warn(`Refresh token reuse detected for user ${tokenDoc.userId} (family ${tokenDoc.familyId})`);
+  
+  await AuditLog.logAction('security:refresh_token_reuse', {
+    tokenId: tokenDoc._id,
+    familyId: tokenDoc.familyId,
+    rotatedAt: tokenDoc.rotatedAt,
+    revokedCount: result.deletedCount
+  }, {
+    userId: tokenDoc.userId,
+    serviceId: tokenDoc.metadata ? tokenDoc.metadata.serviceId : null,
+    ipAddress: req.headers['x-forwarded-for'] || req.connection.remoteAddress,
+    userAgent: req.headers['user-agent'] || ''
+  });
+};
+
+// Validate a refresh token and claim it for rotation.
+// If `serviceId` is given, the token must have been issued for that service.
+// Returns { tokenDoc, user } or throws an APIError.
+const consumeRefreshToken = async (req, refreshToken, serviceId = undefined) => {
+  // Find the token in database
+  const tokenDoc = await Token.findOne({
+    token: refreshToken,
+    type: 'refresh'
+  });
+  
+  if (!tokenDoc) {
+    throw new APIError('Invalid refresh token.', 401);
+  }
+  
+  // Tokens can only be refreshed by the service they were issued to
+  if (serviceId !== undefined && String(tokenDoc.metadata.serviceId) !== String(serviceId)) {
+    throw new APIError('Invalid refresh token.', 401);
+  }
+  
+  // A rotated token being presented again means it was stolen: revoke the whole family
+  if (tokenDoc.rotatedAt) {
+    await revokeReusedTokenFamily(req, tokenDoc);
+    throw new APIError('Refresh token has already been used. All sessions for this login have been revoked.', 401);
+  }
+  
+  // Check if token is expired
+  if (tokenDoc.isExpired()) {
+    await tokenDoc.deleteOne();
+    throw new APIError('Refresh token expired.', 401);
+  }
+  
+  // Apply the service's current idle and absolute timeouts (they may have been shortened)
+  const lifetimes = await getTokenLifetimes(tokenDoc.metadata.serviceId);
+  const sessionStartedAt = tokenDoc.sessionStartedAt || tokenDoc.createdAt;
+  
+  if (Date.now() - tokenDoc.createdAt.getTime() > lifetimes.idleTimeout * 1000 ||
+      Date.now() - sessionStartedAt.getTime() > lifetimes.absoluteTimeout * 1000) {
+    await tokenDoc.deleteOne();
+    throw new APIError('Session expired. Please log in again.', 401);
+  }
+  
+  // Check if user exists
+  const user = await User.findById(tokenDoc.userId);
+  
+  if (!user) {
+    await tokenDoc.deleteOne();
+    throw new APIError('User not found.', 401);
+  }
+  
+  // Check if user is active
+  if (user.status !== 'active') {
+    throw new APIError('User account is not active.', 403);
+  }
+  
+  // Claim the token for rotation (guards against concurrent reuse)
+  const rotatedToken = await Token.markRotated(tokenDoc._id);
+  
+  if (!rotatedToken) {
+    await revokeReusedTokenFamily(req, tokenDoc);
+    throw new APIError('Refresh token has already been used. All sessions for this login have been revoked.', 401);
+  }
+  
+  return { tokenDoc: rotatedToken, user };
+};
+
+// Issue a new access token and rotate a consumed refresh token into the same family
+const rotateRefreshToken = async (req, user, previousToken, serviceId = null) => {
+  const lifetimes = await getTokenLifetimes(serviceId);
+  const refreshToken = await Token.generateRefreshToken(
+    user._id,
+    serviceId,
+    req.headers['x-forwarded-for'] || req.connection.remoteAddress,
+    req.headers['user-agent'] || '',
+    lifetimes,
+    previousToken
+  );
+  
+  previousToken.replacedBy = refreshToken._id;
+  await previousToken.save();
+  
+  return {
+    token: await generateToken(
+      user,
+      serviceId,
+      refreshToken.getSessionId(),
+      getAccessTokenLifetime(lifetimes, refreshToken)
+    ),
+    refreshToken
+  };
+};
+
+module.exports = {
+  generateToken,
+  generateImpersonationToken,
+  generateServiceToken,
+  getTokenLifetimes,
+  buildUserClaims,
+  generateIdToken,
+  resolveUserAccess,
+  verifyAccessToken,
+  checkServiceAccess,
+  issueLoginTokens,
+  exchangeSessionTokens,
+  revokeReusedTokenFamily,
+  consumeRefreshToken,
+  rotateRefreshToken
+};
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+
+// RFC 4648 base32 alphabet used by authenticator apps
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Default TOTP parameters (RFC 6238)
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30; // seconds
+
+// Encode a buffer as base32 (without padding)
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+// Decode a base32 string into a buffer
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Generate a new random base32 secret (160 bits as recommended by RFC 4226)
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+// Generate the HOTP value for a given counter (RFC 4226)
+const generateHOTP = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = ((hmac[offset] & 0x7f) << 24) |
+               ((hmac[offset + 1] & 0xff) << 16) |
+               ((hmac[offset + 2] & 0xff) << 8) |
+               (hmac[offset + 3] & 0xff);
+
+  return (code % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+};
+
+// Get the current time step
+const getTimeStep = (time = Date.now()) => {
+  return Math.floor(time / 1000 / TOTP_PERIOD);
+};
+
+// Generate the TOTP value for the given time
+const generateTOTP = (secret, time = Date.now()) => {
+  return generateHOTP(secret, getTimeStep(time));
+};
+
+// Verify a TOTP code, allowing for clock drift of `window` steps in either direction.
+// Returns the matching time step, or null if the code is invalid.
+const verifyTOTP = (secret, code, window = 1, time = Date.now()) => {
+  if (!code || !/^\d+$/.test(code) || code.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(time);
+
+  for (let errorWindow = -window; errorWindow <= window; errorWindow++) {
+    const step = currentStep + errorWindow;
+    const expected = generateHOTP(secret, step);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// Build an otpauth:// URI that authenticator apps can import (usually via QR code)
+const buildOtpauthUrl = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: TOTP_DIGITS.toString(),
+    period: TOTP_PERIOD.toString()
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpauthUrl
+};
@@ -0,0 +1,138 @@
+jest.mock('../../src/models', () => ({
+  User: { findById: jest.fn() },
+  Token: { findOneAndDelete: jest.fn(), updateOne: jest.fn() },
+  Service: { findOne: jest.fn() },
+  UserService: { findOne: jest.fn() }
+}));
+jest.mock('../../src/utils/tokens', () => ({
+  checkServiceAccess: jest.fn(),
+  issueLoginTokens: jest.fn(),
+  consumeRefreshToken: jest.fn(),
+  rotateRefreshToken: jest.fn(),
+  generateIdToken: jest.fn(),
+  generateServiceToken: jest.fn(),
+  verifyAccessToken: jest.fn()
+}));
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { User, Token, Service, UserService } = require('../../src/models');
+const { checkServiceAccess, issueLoginTokens, verifyAccessToken } = require('../../src/utils/tokens');
+const oauthController = require('../../src/controllers/oauth.controller');
+
+const CODE_VERIFIER = crypto.randomBytes(48).toString('base64url');
+const CODE_CHALLENGE = crypto.createHash('sha256').update(CODE_VERIFIER).digest('base64url');
+
+const service = { _id: 'service-1', apiKey: 'toc_app_1', active: true };
+
+// Minimal Express response that records the status and body
+const buildResponse = () => {
+  const res = {};
+  res.set = jest.fn().mockReturnValue(res);
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+// Token request for the authorization code grant from a public client
+const buildRequest = (body = {}) => ({
+  headers: {},
+  body: {
+    grant_type: 'authorization_code',
+    client_id: service.apiKey,
+    code: 'auth-code',
+    redirect_uri: 'https://app.example.com/callback',
+    code_verifier: CODE_VERIFIER,
+    ...body
+  }
+});
+
+const exchange = async (body) => {
+  const res = buildResponse();
+  const next = jest.fn();
+
+  await oauthController.token(buildRequest(body), res, next);
+
+  expect(next).not.toHaveBeenCalled();
+  return { status: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+};
+
+describe('oauth token endpoint (PKCE)', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Service.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(service) });
+    Token.findOneAndDelete.mockResolvedValue({
+      userId: 'user-1',
+      metadata: { serviceId: 'service-1' },
+      oauth: { redirectUri: 'https://app.example.com/callback', codeChallenge: CODE_CHALLENGE, scope: 'profile' },
+      isExpired: () => false
+    });
+    User.findById.mockResolvedValue({ _id: 'user-1', status: 'active' });
+    checkServiceAccess.mockResolvedValue(null);
+    issueLoginTokens.mockResolvedValue({
+      token: jwt.sign({ id: 'user-1' }, 'test-secret', { expiresIn: 3600 }),
+      refreshToken: 'refresh-1'
+    });
+  });
+
+  it('issues tokens for the matching code verifier', async () => {
+    const { status, body } = await exchange();
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ token_type: 'Bearer', expires_in: 3600, refresh_token: 'refresh-1', scope: 'profile' });
+  });
+
+  it.each([
+    ['a different verifier', crypto.randomBytes(48).toString('base64url')],
+    ['the challenge itself', CODE_CHALLENGE],
+    ['no verifier', undefined],
+    ['a verifier that is too short', 'a'.repeat(42)],
+    ['a verifier that is too long', 'a'.repeat(129)],
+    ['a verifier with invalid characters', `${CODE_VERIFIER.slice(0, 50)}+/=`]
+  ])('rejects %s', async (label, codeVerifier) => {
+    const { status, body } = await exchange({ code_verifier: codeVerifier });
+
+    expect(status).toBe(400);
+    expect(body).toEqual({ error: 'invalid_grant', error_description: 'Invalid code_verifier' });
+    expect(issueLoginTokens).not.toHaveBeenCalled();
+  });
+
+  it('consumes the code even when the verifier is wrong', async () => {
+    await exchange({ code_verifier: 'x'.repeat(43) });
+
+    expect(Token.findOneAndDelete).toHaveBeenCalledWith({ token: 'auth-code', type: 'authorization_code' });
+  });
+});
+
+describe('oauth introspection endpoint', () => {
+  const confidentialService = { ...service, validateApiCredentials: jest.fn().mockReturnValue(true) };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Service.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(confidentialService) });
+    UserService.findOne.mockReturnValue({
+      populate: jest.fn().mockResolvedValue({ status: 'active', roles: [{ name: 'user', permissions: ['user:read', 'user:write'] }] })
+    });
+    verifyAccessToken.mockResolvedValue({
+      decoded: { id: 'user-1', serviceId: null, pat: 'pat-1', scope: 'user:read', iat: 1, exp: 2 },
+      user: { _id: 'user-1', username: 'jdoe' },
+      personalAccessToken: { scopes: ['user:read'] }
+    });
+  });
+
+  it('checks a personal access token without recording a use', async () => {
+    const res = buildResponse();
+    const next = jest.fn();
+    const req = { headers: {}, body: { token: 'toc_pat_1', token_type_hint: 'access_token', client_id: service.apiKey, client_secret: 'secret' } };
+
+    await oauthController.introspect(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(verifyAccessToken).toHaveBeenCalledWith('toc_pat_1', { recordUse: false });
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      active: true,
+      token_type: 'personal_access_token',
+      permissions: ['user:read']
+    }));
+  });
+});
@@ -0,0 +1,268 @@
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../../src/utils/mailer', () => ({ queueUserMail: jest.fn(), queueTokenMail: jest.fn() }));
+jest.mock('@simplewebauthn/server', () => ({
+  ...jest.requireActual('@simplewebauthn/server'),
+  verifyAuthenticationResponse: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { verifyAuthenticationResponse } = require('@simplewebauthn/server');
+const { User, Token, AuditLog, MailMessage, Passkey, Service, UserService } = require('../../src/models');
+const { queueTokenMail } = require('../../src/utils/mailer');
+const { encrypt } = require('../../src/utils/encryption');
+const totp = require('../../src/utils/totp');
+const userController = require('../../src/controllers/user.controller');
+const { createDocumentStore } = require('../helpers/documentStore');
+
+const req = (body) => ({
+  body,
+  headers: { 'user-agent': 'jest' },
+  connection: { remoteAddress: '127.0.0.1' }
+});
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Call a controller and resolve to the response body sent, or the error passed to next()
+const respond = async (handler, request) => {
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+  const next = jest.fn();
+
+  await handler(request, res, next);
+
+  return {
+    error: next.mock.calls.length ? next.mock.calls[0][0] : null,
+    body: res.json.mock.calls.length ? res.json.mock.calls[0][0] : null
+  };
+};
+
+// Call a controller and resolve to the error passed to next(), if any
+const call = async (handler, request) => (await respond(handler, request)).error;
+
+// Mongoose-style query for MailMessage.find(...).select(...).sort(...)
+const mailQuery = (createdAts) => ({
+  select: () => ({
+    sort: () => Promise.resolve(createdAts.map(createdAt => ({ createdAt })))
+  })
+});
+
+describe('user.controller login throttling', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const originalEnv = { ...process.env };
+  let store;
+
+  beforeEach(async () => {
+    process.env.LOGIN_MAX_ATTEMPTS = '5';
+    process.env.LOGIN_LOCK_DURATION_MINUTES = '15';
+    process.env.PASSWORD_BCRYPT_COST = '4';
+
+    store = createDocumentStore(User, [{
+      _id: userId,
+      username: 'jdoe',
+      email: 'jdoe@example.com',
+      password: await bcrypt.hash('Correct-Horse-1', 4),
+      status: 'active',
+      failedLoginAttempts: 0,
+      lastFailedLoginAt: null,
+      lockUntil: null
+    }]);
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    jest.restoreAllMocks();
+  });
+
+  it('locks the account when wrong passwords are sent in parallel', async () => {
+    // Every request reads the account before any of the failures is recorded
+    const errors = await Promise.all(Array.from({ length: 6 }, () =>
+      call(userController.loginUser, req({ username: 'jdoe', password: 'wrong-password' }))));
+
+    expect(store.get(userId).failedLoginAttempts).toBe(6);
+    expect(store.get(userId).lockUntil.getTime()).toBeGreaterThan(Date.now());
+    expect(errors.filter(error => error.statusCode === 423).length).toBeGreaterThan(0);
+    expect(AuditLog.logAction.mock.calls.filter(([action]) => action === 'user:locked')).toHaveLength(1);
+
+    // Even the right password is refused while the lock runs
+    const error = await call(userController.loginUser, req({ username: 'jdoe', password: 'Correct-Horse-1' }));
+
+    expect(error.statusCode).toBe(423);
+  });
+
+  it('answers a wrong password with invalid credentials until the limit', async () => {
+    const error = await call(userController.loginUser, req({ username: 'jdoe', password: 'wrong-password' }));
+
+    expect(error).toMatchObject({ statusCode: 401, message: 'Invalid credentials' });
+    expect(store.get(userId).failedLoginAttempts).toBe(1);
+  });
+});
+
+describe('user.controller forgotPassword', () => {
+  const user = { _id: new mongoose.Types.ObjectId(), username: 'jdoe', email: 'jdoe@example.com' };
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    jest.spyOn(Token, 'generatePasswordResetToken').mockResolvedValue({ token: 'reset-token', metadata: {} });
+    queueTokenMail.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('emails a reset link', async () => {
+    jest.spyOn(MailMessage, 'find').mockReturnValue(mailQuery([]));
+
+    const error = await call(userController.forgotPassword, req({ email: 'jdoe@example.com' }));
+
+    expect(error).toBeNull();
+    expect(queueTokenMail).toHaveBeenCalledWith('password_reset', user, expect.anything(), expect.any(String));
+  });
+
+  it('refuses another reset email within the resend interval', async () => {
+    jest.spyOn(MailMessage, 'find').mockReturnValue(mailQuery([new Date(Date.now() - 10 * 1000)]));
+
+    const error = await call(userController.forgotPassword, req({ email: 'jdoe@example.com' }));
+
+    expect(error.statusCode).toBe(429);
+    expect(MailMessage.find).toHaveBeenCalledWith(expect.objectContaining({ userId: user._id, template: 'password_reset' }));
+    expect(Token.generatePasswordResetToken).not.toHaveBeenCalled();
+    expect(queueTokenMail).not.toHaveBeenCalled();
+  });
+
+  it('refuses more than the hourly maximum of reset emails', async () => {
+    const sent = [5, 15, 25, 35, 45].map(minutes => new Date(Date.now() - minutes * MINUTE));
+    jest.spyOn(MailMessage, 'find').mockReturnValue(mailQuery(sent));
+
+    const error = await call(userController.forgotPassword, req({ email: 'jdoe@example.com' }));
+
+    expect(error.statusCode).toBe(429);
+    expect(queueTokenMail).not.toHaveBeenCalled();
+  });
+});
+
+describe('user.controller updateUser', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    createDocumentStore(User, [{
+      _id: userId,
+      username: 'jdoe',
+      email: 'jdoe@example.com',
+      displayName: 'John Doe',
+      status: 'active'
+    }]);
+    jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Token, 'generateEmailChangeToken').mockResolvedValue({ token: 'change-token', metadata: { serviceId: null } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('starts an email change with the normalized address', async () => {
+    const request = { ...req({ email: '  New.Address@Example.com ' }), params: { id: String(userId) } };
+
+    const error = await call(userController.updateUser, request);
+
+    expect(error).toBeNull();
+    expect(Token.generateEmailChangeToken).toHaveBeenCalledWith(
+      userId, 'new.address@example.com', null, '127.0.0.1', 'jest'
+    );
+  });
+
+  it('does not start a change for the current address in another case', async () => {
+    const request = { ...req({ email: 'JDoe@Example.com' }), params: { id: String(userId) } };
+
+    const error = await call(userController.updateUser, request);
+
+    expect(error).toBeNull();
+    expect(Token.generateEmailChangeToken).not.toHaveBeenCalled();
+  });
+});
+
+describe('user.controller expired passwords', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const secret = totp.generateSecret();
+  const originalEnv = { ...process.env };
+
+  const createUser = (fields = {}) => createDocumentStore(User, [{
+    _id: userId,
+    username: 'jdoe',
+    email: 'jdoe@example.com',
+    status: 'active',
+    isEmailVerified: true,
+    passwordChangedAt: new Date(Date.now() - 120 * DAY),
+    ...fields
+  }]);
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.ENCRYPTION_KEY = 'test-encryption-key';
+    process.env.PASSWORD_MAX_AGE_DAYS = '90';
+
+    jest.spyOn(UserService, 'find').mockReturnValue({ select: () => Promise.resolve([]) });
+    jest.spyOn(Service, 'find').mockReturnValue({ select: () => Promise.resolve([]) });
+    jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    jest.restoreAllMocks();
+  });
+
+  const expectPasswordChangeRequired = ({ error, body }) => {
+    expect(error).toBeNull();
+    expect(body.passwordChangeRequired).toBe(true);
+    expect(body.accessToken).toBeUndefined();
+    expect(jwt.verify(body.passwordChangeToken, process.env.JWT_SECRET)).toMatchObject({ id: String(userId) });
+  };
+
+  it('asks for a password change after a magic link login', async () => {
+    createUser();
+    jest.spyOn(Token, 'findOneAndDelete').mockResolvedValue({
+      userId,
+      metadata: {},
+      isExpired: () => false
+    });
+
+    expectPasswordChangeRequired(await respond(userController.verifyMagicLink, req({ token: 'magic-token' })));
+  });
+
+  it('asks for a password change after a passkey login', async () => {
+    createUser();
+    const clientDataJSON = Buffer.from(JSON.stringify({ type: 'webauthn.get', challenge: 'challenge' })).toString('base64url');
+
+    jest.spyOn(Token, 'findOneAndDelete').mockResolvedValue({ token: 'challenge', isExpired: () => false });
+    jest.spyOn(Passkey, 'findOne').mockResolvedValue({
+      userId,
+      credentialId: 'credential',
+      publicKey: 'public-key',
+      counter: 0,
+      transports: [],
+      save: jest.fn().mockResolvedValue()
+    });
+    verifyAuthenticationResponse.mockResolvedValue({ verified: true, authenticationInfo: { newCounter: 1 } });
+
+    const request = req({ response: { id: 'credential', response: { clientDataJSON } } });
+
+    expectPasswordChangeRequired(await respond(userController.verifyPasskeyLogin, request));
+  });
+
+  it('asks for a password change after MFA that followed a magic link', async () => {
+    createUser({ mfa: { enabled: true, secret: encrypt(secret), lastUsedStep: null } });
+    const mfaToken = jwt.sign({ id: userId, serviceId: null, method: 'magic_link', purpose: 'mfa' }, process.env.JWT_SECRET);
+
+    const request = req({ mfaToken, code: totp.generateTOTP(secret) });
+
+    expectPasswordChangeRequired(await respond(userController.verifyMfaLogin, request));
+  });
+});
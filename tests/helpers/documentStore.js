@@ -0,0 +1,47 @@
+const { Aggregator } = require('mingo');
+require('mingo/init/system');
+
+// In-memory stand-in for one MongoDB collection, for code that relies on atomic updates.
+// Updates are applied one at a time, like MongoDB does for a single document, and
+// pipeline updates are evaluated with mingo.
+const createDocumentStore = (Model, documents = []) => {
+  const store = new Map(documents.map(doc => [String(doc._id), { ...doc }]));
+
+  // Query-like result: awaitable, with the chainable .select() used by the code under test
+  const toQuery = (value) => {
+    const promise = Promise.resolve(value);
+    promise.select = () => promise;
+    return promise;
+  };
+
+  const hydrate = (doc) => (doc ? Model.hydrate({ ...doc }) : null);
+
+  jest.spyOn(Model, 'findOne').mockImplementation((filter) => {
+    const doc = [...store.values()].find(candidate =>
+      Object.entries(filter).every(([key, value]) => String(candidate[key]) === String(value)));
+    return toQuery(hydrate(doc));
+  });
+
+  jest.spyOn(Model, 'findById').mockImplementation(id => toQuery(hydrate(store.get(String(id)))));
+
+  jest.spyOn(Model, 'findOneAndUpdate').mockImplementation((filter, update, options = {}) => {
+    const doc = store.get(String(filter._id));
+
+    if (!doc) {
+      return toQuery(null);
+    }
+
+    const updated = new Aggregator(update).run([doc])[0];
+    store.set(String(filter._id), updated);
+
+    return toQuery(hydrate(options.new ? updated : doc));
+  });
+
+  return {
+    get: id => store.get(String(id))
+  };
+};
+
+module.exports = {
+  createDocumentStore
+};
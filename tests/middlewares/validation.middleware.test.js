@@ -0,0 +1,80 @@
+const { validateRequest, schemas } = require('../../src/middlewares/validation.middleware');
+
+// Run a schema through the middleware; resolves to the error passed to next() and the cleaned body
+const validate = (schema, body) => {
+  const req = { body };
+  const next = jest.fn();
+
+  validateRequest(schema)(req, {}, next);
+
+  return { error: next.mock.calls[0][0], body: req.body };
+};
+
+describe('validation.middleware', () => {
+  describe('forgotPassword', () => {
+    it('accepts an email with an optional service', () => {
+      expect(validate(schemas.forgotPassword, { email: 'jdoe@example.com' }).error).toBeUndefined();
+      expect(validate(schemas.forgotPassword, { email: 'jdoe@example.com', serviceId: '0123456789abcdef01234567' }).error)
+        .toBeUndefined();
+    });
+
+    it.each([
+      [{}],
+      [{ email: 'not-an-email' }],
+      [{ email: { $gt: '' } }],
+      [{ email: 'jdoe@example.com', serviceId: 'abc' }]
+    ])('rejects %j', (body) => {
+      expect(validate(schemas.forgotPassword, body).error).toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('passwordReset', () => {
+    it('requires a string password', () => {
+      expect(validate(schemas.passwordReset, { password: 'Tangerine-Orbit-42' }).error).toBeUndefined();
+      expect(validate(schemas.passwordReset, {}).error).toMatchObject({ statusCode: 400 });
+      expect(validate(schemas.passwordReset, { password: ['a'] }).error).toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('recoveryCodeReset', () => {
+    const body = { username: 'jdoe', recoveryCode: 'abcd-efgh', password: 'Tangerine-Orbit-42' };
+
+    it('accepts a username, recovery code and password', () => {
+      expect(validate(schemas.recoveryCodeReset, body).error).toBeUndefined();
+    });
+
+    it.each(['username', 'recoveryCode', 'password'])('requires %s', (field) => {
+      const { error } = validate(schemas.recoveryCodeReset, { ...body, [field]: undefined });
+
+      expect(error).toMatchObject({ statusCode: 400 });
+    });
+
+    it('rejects a username that is not a string', () => {
+      expect(validate(schemas.recoveryCodeReset, { ...body, username: { $ne: null } }).error).toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('adminUserUpdate', () => {
+    it('accepts an email change with the profile fields', () => {
+      const { error, body } = validate(schemas.adminUserUpdate, {
+        email: 'New.Address@example.com',
+        displayName: 'John Doe',
+        status: 'suspended',
+        isEmailVerified: true
+      });
+
+      expect(error).toBeUndefined();
+      expect(body).toMatchObject({ email: 'New.Address@example.com', status: 'suspended', isEmailVerified: true });
+    });
+
+    it.each([
+      [{ email: 42 }],
+      [{ email: { $ne: null } }],
+      [{ email: 'not-an-email' }],
+      [{ status: 'deleted' }],
+      [{ isEmailVerified: 'maybe' }]
+    ])('rejects %j', (body) => {
+      expect(validate(schemas.adminUserUpdate, body).error).toMatchObject({ statusCode: 400 });
+    });
+  });
+});
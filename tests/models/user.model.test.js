@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const User = require('../../src/models/user.model');
+const { createDocumentStore } = require('../helpers/documentStore');
+
+const MINUTE = 60 * 1000;
+
+describe('User.registerFailedLogin', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    process.env.LOGIN_MAX_ATTEMPTS = '5';
+    process.env.LOGIN_LOCK_DURATION_MINUTES = '15';
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    jest.restoreAllMocks();
+  });
+
+  const createStore = (fields = {}) => createDocumentStore(User, [{
+    _id: userId,
+    username: 'jdoe',
+    failedLoginAttempts: 0,
+    lastFailedLoginAt: null,
+    lockUntil: null,
+    ...fields
+  }]);
+
+  it('counts failures and locks the account at the limit', async () => {
+    const store = createStore();
+
+    for (let attempt = 1; attempt < 5; attempt++) {
+      const { user, locked } = await User.registerFailedLogin(userId);
+
+      expect(user.failedLoginAttempts).toBe(attempt);
+      expect(locked).toBe(false);
+      expect(user.isLocked()).toBe(false);
+    }
+
+    const { user, locked } = await User.registerFailedLogin(userId);
+
+    expect(locked).toBe(true);
+    expect(user.isLocked()).toBe(true);
+    expect(store.get(userId).lockUntil.getTime()).toBeGreaterThan(Date.now() + 14 * MINUTE);
+  });
+
+  it('counts every one of a burst of parallel failures', async () => {
+    const store = createStore();
+
+    const results = await Promise.all(Array.from({ length: 8 }, () => User.registerFailedLogin(userId)));
+
+    expect(store.get(userId).failedLoginAttempts).toBe(8);
+    expect(results.filter(result => result.locked)).toHaveLength(1);
+    expect(results.every(result => typeof result.user.failedLoginAttempts === 'number')).toBe(true);
+  });
+
+  it('does not extend a running lock', async () => {
+    const lockUntil = new Date(Date.now() + 5 * MINUTE);
+    createStore({ failedLoginAttempts: 5, lastFailedLoginAt: new Date(), lockUntil });
+
+    const { user, locked } = await User.registerFailedLogin(userId);
+
+    expect(locked).toBe(false);
+    expect(user.lockUntil).toEqual(lockUntil);
+    expect(user.failedLoginAttempts).toBe(6);
+  });
+
+  it('starts counting again after a lock has expired', async () => {
+    createStore({
+      failedLoginAttempts: 5,
+      lastFailedLoginAt: new Date(Date.now() - 10 * MINUTE),
+      lockUntil: new Date(Date.now() - MINUTE)
+    });
+
+    const { user, locked } = await User.registerFailedLogin(userId);
+
+    expect(locked).toBe(false);
+    expect(user.failedLoginAttempts).toBe(1);
+    expect(user.lockUntil).toBeNull();
+  });
+
+  it('starts counting again after an old failure streak', async () => {
+    createStore({ failedLoginAttempts: 4, lastFailedLoginAt: new Date(Date.now() - 20 * MINUTE) });
+
+    const { user } = await User.registerFailedLogin(userId);
+
+    expect(user.failedLoginAttempts).toBe(1);
+  });
+
+  it('resolves to no user when the account does not exist', async () => {
+    createStore();
+
+    await expect(User.registerFailedLogin(new mongoose.Types.ObjectId())).resolves.toEqual({ user: null, locked: false });
+  });
+});
@@ -0,0 +1,25 @@
+const { encrypt, decrypt } = require('../../src/utils/encryption');
+
+describe('encryption', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('decrypts what it encrypted', () => {
+    process.env.ENCRYPTION_KEY = 'test-encryption-key';
+
+    const encrypted = encrypt('JBSWY3DPEHPK3PXP');
+
+    expect(encrypted).not.toContain('JBSWY3DPEHPK3PXP');
+    expect(decrypt(encrypted)).toBe('JBSWY3DPEHPK3PXP');
+  });
+
+  it('requires ENCRYPTION_KEY instead of falling back to JWT_SECRET', () => {
+    delete process.env.ENCRYPTION_KEY;
+    process.env.JWT_SECRET = 'test-secret';
+
+    expect(() => encrypt('JBSWY3DPEHPK3PXP')).toThrow('ENCRYPTION_KEY is not configured');
+  });
+});
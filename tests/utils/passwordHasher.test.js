@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const { identifyHash, hashPassword, verifyPassword, needsRehash } = require('../../src/utils/passwordHasher');
+
+// Cheap parameters so the tests stay fast
+const setHashConfig = (algorithm) => {
+  process.env.PASSWORD_HASH_ALGORITHM = algorithm;
+  process.env.PASSWORD_BCRYPT_COST = '4';
+  process.env.PASSWORD_ARGON2_MEMORY_KIB = '1024';
+  process.env.PASSWORD_ARGON2_TIME_COST = '2';
+  process.env.PASSWORD_ARGON2_PARALLELISM = '1';
+};
+
+// Build a legacy PBKDF2 hash in the import format
+const pbkdf2Hash = (password, scheme = 'sha256', iterations = 1000) => {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.pbkdf2Sync(password, salt, iterations, 32, scheme);
+  return `$pbkdf2-${scheme}$${iterations}$${salt.toString('base64')}$${hash.toString('base64')}`;
+};
+
+describe('passwordHasher', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  describe('bcrypt', () => {
+    beforeEach(() => setHashConfig('bcrypt'));
+
+    it('hashes and verifies passwords', async () => {
+      const hash = await hashPassword('Correct-Horse-1');
+
+      expect(identifyHash(hash)).toBe('bcrypt');
+      await expect(verifyPassword('Correct-Horse-1', hash)).resolves.toBe(true);
+      await expect(verifyPassword('wrong-password', hash)).resolves.toBe(false);
+    });
+
+    it('asks for a rehash when the cost changes', async () => {
+      const hash = await hashPassword('Correct-Horse-1');
+
+      expect(needsRehash(hash)).toBe(false);
+      process.env.PASSWORD_BCRYPT_COST = '5';
+      expect(needsRehash(hash)).toBe(true);
+    });
+  });
+
+  describe('argon2id', () => {
+    beforeEach(() => setHashConfig('argon2id'));
+
+    it('hashes and verifies passwords', async () => {
+      const hash = await hashPassword('Correct-Horse-1');
+
+      expect(identifyHash(hash)).toBe('argon2id');
+      await expect(verifyPassword('Correct-Horse-1', hash)).resolves.toBe(true);
+      await expect(verifyPassword('wrong-password', hash)).resolves.toBe(false);
+      expect(needsRehash(hash)).toBe(false);
+    });
+
+    it('asks for a rehash of bcrypt hashes', async () => {
+      setHashConfig('bcrypt');
+      const hash = await hashPassword('Correct-Horse-1');
+      setHashConfig('argon2id');
+
+      expect(needsRehash(hash)).toBe(true);
+      await expect(verifyPassword('Correct-Horse-1', hash)).resolves.toBe(true);
+    });
+  });
+
+  describe('legacy formats', () => {
+    beforeEach(() => setHashConfig('bcrypt'));
+
+    it.each(['sha1', 'sha256', 'sha512'])('verifies pbkdf2-%s hashes', async (scheme) => {
+      const hash = pbkdf2Hash('Correct-Horse-1', scheme);
+
+      expect(identifyHash(hash)).toBe('pbkdf2');
+      await expect(verifyPassword('Correct-Horse-1', hash)).resolves.toBe(true);
+      await expect(verifyPassword('wrong-password', hash)).resolves.toBe(false);
+    });
+
+    it('verifies passlib adapted base64 pbkdf2 hashes', async () => {
+      const hash = pbkdf2Hash('Correct-Horse-1').replace(/\+/g, '.').replace(/=/g, '');
+
+      await expect(verifyPassword('Correct-Horse-1', hash)).resolves.toBe(true);
+    });
+
+    it('verifies salted SHA-256 hashes', async () => {
+      const digest = crypto.createHash('sha256').update('pepperCorrect-Horse-1').digest('hex');
+      const hash = `$salted-sha256$pepper$${digest.toUpperCase()}`;
+
+      expect(identifyHash(hash)).toBe('salted-sha256');
+      await expect(verifyPassword('Correct-Horse-1', hash)).resolves.toBe(true);
+      await expect(verifyPassword('wrong-password', hash)).resolves.toBe(false);
+    });
+
+    it('always asks for a rehash', () => {
+      expect(needsRehash(pbkdf2Hash('Correct-Horse-1'))).toBe(true);
+    });
+
+    it('refuses to create legacy hashes', async () => {
+      process.env.PASSWORD_HASH_ALGORITHM = 'pbkdf2';
+
+      await expect(hashPassword('Correct-Horse-1')).rejects.toThrow('Unsupported password hash algorithm: pbkdf2');
+    });
+  });
+
+  it('rejects unrecognised hashes and non-string input', async () => {
+    expect(identifyHash('plaintext')).toBeNull();
+    expect(identifyHash(undefined)).toBeNull();
+    await expect(verifyPassword('plaintext', 'plaintext')).resolves.toBe(false);
+    await expect(verifyPassword(undefined, pbkdf2Hash('x'))).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,173 @@
+jest.mock('../../src/models', () => ({
+  Service: { find: jest.fn() },
+  UserService: { find: jest.fn() }
+}));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { Service, UserService } = require('../../src/models');
+const {
+  getPasswordPolicy,
+  getUserPasswordPolicy,
+  checkPassword,
+  validatePassword,
+  validateNewPassword,
+  isPasswordExpired
+} = require('../../src/utils/passwordPolicy');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Mongoose-style query that resolves to `result` after .select()
+const query = (result) => ({ select: jest.fn().mockResolvedValue(result) });
+
+const rulesOf = (failures) => failures.map(failure => failure.rule);
+
+describe('passwordPolicy', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  describe('getPasswordPolicy', () => {
+    it('uses the baseline policy when no service sets one', () => {
+      expect(getPasswordPolicy()).toMatchObject({
+        minLength: 8,
+        maxLength: 128,
+        requireUppercase: true,
+        requireSymbols: false,
+        historySize: 5,
+        maxAgeDays: 0
+      });
+    });
+
+    it('keeps the strictest value of each rule across services', () => {
+      const policy = getPasswordPolicy([
+        { config: { passwordPolicy: { minLength: 12, historySize: 2, maxAgeDays: 90 } } },
+        { config: { passwordPolicy: { minLength: 10, requireSymbols: true, maxAgeDays: 30 } } },
+        { config: {} }
+      ]);
+
+      expect(policy).toMatchObject({ minLength: 12, requireSymbols: true, historySize: 5, maxAgeDays: 30 });
+    });
+
+    it('does not let a service weaken the baseline', () => {
+      const policy = getPasswordPolicy([
+        { config: { passwordPolicy: { minLength: 4, requireUppercase: false, rejectBreached: false } } }
+      ]);
+
+      expect(policy).toMatchObject({ minLength: 8, requireUppercase: true, rejectBreached: true });
+    });
+
+    it('caps the minimum length at the maximum length', () => {
+      const policy = getPasswordPolicy([{ config: { passwordPolicy: { minLength: 500 } } }]);
+
+      expect(policy.minLength).toBe(128);
+    });
+  });
+
+  describe('getUserPasswordPolicy', () => {
+    it('combines the policies of the user\'s active services', async () => {
+      UserService.find.mockReturnValue(query([{ serviceId: 'service-1' }]));
+      Service.find.mockReturnValue(query([{ config: { passwordPolicy: { minLength: 14 } } }]));
+
+      const policy = await getUserPasswordPolicy('user-1');
+
+      expect(policy.minLength).toBe(14);
+      expect(Service.find).toHaveBeenCalledWith({ _id: { $in: ['service-1'] }, active: true });
+    });
+  });
+
+  describe('checkPassword', () => {
+    const policy = getPasswordPolicy();
+
+    it('accepts a password that meets every rule', async () => {
+      await expect(checkPassword('Tangerine-Orbit-42', policy)).resolves.toEqual([]);
+    });
+
+    it('reports each failed character rule', async () => {
+      const failures = await checkPassword('short', { ...policy, requireSymbols: true });
+
+      expect(rulesOf(failures)).toEqual(['minLength', 'requireUppercase', 'requireNumbers', 'requireSymbols']);
+    });
+
+    it('counts characters rather than UTF-16 units', async () => {
+      const failures = await checkPassword('Aa1😀😀😀😀', policy);
+
+      expect(rulesOf(failures)).toEqual(['minLength']);
+    });
+
+    it('rejects passwords longer than the maximum', async () => {
+      const failures = await checkPassword(`Aa1${'x'.repeat(200)}`, policy);
+
+      expect(rulesOf(failures)).toEqual(['maxLength']);
+    });
+
+    it('rejects passwords containing the user\'s details', async () => {
+      const context = { username: 'jdoe', email: 'john.doe@example.com', displayName: 'John Doe' };
+
+      await expect(checkPassword('Jdoe-Secure-2024', policy, context)).resolves.toEqual([
+        expect.objectContaining({ rule: 'rejectPersonalInfo' })
+      ]);
+      await expect(checkPassword('Johnny-Secure-2024', policy, context)).resolves.toEqual([
+        expect.objectContaining({ rule: 'rejectPersonalInfo' })
+      ]);
+      await expect(checkPassword('Tangerine-Orbit-42', policy, context)).resolves.toEqual([]);
+    });
+
+    it('rejects passwords from the compromised password list', async () => {
+      const failures = await checkPassword('Password123', policy);
+
+      expect(rulesOf(failures)).toEqual(['rejectBreached']);
+      await expect(checkPassword('Password123', { ...policy, rejectBreached: false })).resolves.toEqual([]);
+    });
+  });
+
+  describe('validatePassword', () => {
+    it('returns a 400 APIError listing the failed rules', async () => {
+      const error = await validatePassword('short', getPasswordPolicy());
+
+      expect(error.statusCode).toBe(400);
+      expect(rulesOf(error.errors)).toContain('minLength');
+    });
+
+    it('returns null for a valid password', async () => {
+      await expect(validatePassword('Tangerine-Orbit-42', getPasswordPolicy())).resolves.toBeNull();
+    });
+  });
+
+  describe('validateNewPassword', () => {
+    it('rejects reuse of recent passwords', async () => {
+      const user = { username: 'jdoe', isPasswordReused: jest.fn().mockResolvedValue(true) };
+
+      const error = await validateNewPassword(user, 'Tangerine-Orbit-42', getPasswordPolicy());
+
+      expect(rulesOf(error.errors)).toEqual(['history']);
+      expect(user.isPasswordReused).toHaveBeenCalledWith('Tangerine-Orbit-42', 5);
+    });
+
+    it('skips the history check when it is disabled', async () => {
+      const user = { username: 'jdoe', isPasswordReused: jest.fn() };
+
+      await expect(validateNewPassword(user, 'Tangerine-Orbit-42', { ...getPasswordPolicy(), historySize: 0 }))
+        .resolves.toBeNull();
+      expect(user.isPasswordReused).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('isPasswordExpired', () => {
+    it('never expires passwords without a maximum age', () => {
+      expect(isPasswordExpired({ passwordChangedAt: new Date(0) }, { maxAgeDays: 0 })).toBe(false);
+    });
+
+    it('expires passwords older than the maximum age', () => {
+      const policy = { maxAgeDays: 30 };
+
+      expect(isPasswordExpired({ passwordChangedAt: new Date(Date.now() - 31 * DAY) }, policy)).toBe(true);
+      expect(isPasswordExpired({ passwordChangedAt: new Date(Date.now() - 29 * DAY) }, policy)).toBe(false);
+    });
+
+    it('falls back to the account creation date', () => {
+      expect(isPasswordExpired({ createdAt: new Date(Date.now() - 31 * DAY) }, { maxAgeDays: 30 })).toBe(true);
+    });
+  });
+});
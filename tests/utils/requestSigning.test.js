@@ -0,0 +1,140 @@
+jest.mock('../../src/models', () => ({
+  RequestNonce: { claim: jest.fn() }
+}));
+
+const crypto = require('crypto');
+const { RequestNonce } = require('../../src/models');
+const { buildStringToSign, signRequest, verifyRequestSignature } = require('../../src/utils/requestSigning');
+
+const SIGNING_SECRET = 'toc_sig_test-secret';
+
+const service = {
+  _id: 'service-1',
+  getRequestSigningKey: () => SIGNING_SECRET
+};
+
+// Build a request signed the way a client would sign it
+const buildSignedRequest = (overrides = {}) => {
+  const request = {
+    method: 'POST',
+    originalUrl: '/api/users?notify=true',
+    rawBody: '{"username":"jdoe"}',
+    timestamp: String(Math.floor(Date.now() / 1000)),
+    nonce: crypto.randomBytes(16).toString('hex'),
+    ...overrides
+  };
+
+  const signature = signRequest(SIGNING_SECRET, {
+    timestamp: request.timestamp,
+    nonce: request.nonce,
+    method: request.method,
+    url: request.originalUrl,
+    body: request.rawBody
+  });
+
+  return {
+    method: request.method,
+    originalUrl: request.originalUrl,
+    rawBody: request.rawBody,
+    headers: {
+      'x-signature-timestamp': request.timestamp,
+      'x-signature-nonce': request.nonce,
+      'x-signature': signature
+    }
+  };
+};
+
+describe('requestSigning', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    RequestNonce.claim.mockResolvedValue(true);
+  });
+
+  it('signs the timestamp, nonce, method, URL and body digest', () => {
+    const bodyDigest = crypto.createHash('sha256').update('{}').digest('hex');
+
+    expect(buildStringToSign({ timestamp: 1700000000, nonce: 'abc', method: 'post', url: '/api/x?y=1', body: '{}' }))
+      .toBe(`1700000000\nabc\nPOST\n/api/x?y=1\n${bodyDigest}`);
+  });
+
+  it('accepts a correctly signed request and claims its nonce', async () => {
+    const req = buildSignedRequest();
+
+    await expect(verifyRequestSignature(req, service)).resolves.toBeNull();
+    expect(RequestNonce.claim).toHaveBeenCalledWith('service-1', req.headers['x-signature-nonce'], expect.any(Date));
+  });
+
+  it('accepts requests without a body', async () => {
+    const req = buildSignedRequest({ method: 'GET', rawBody: undefined });
+
+    await expect(verifyRequestSignature(req, service)).resolves.toBeNull();
+  });
+
+  it('accepts uppercase hex signatures', async () => {
+    const req = buildSignedRequest();
+    req.headers['x-signature'] = req.headers['x-signature'].toUpperCase();
+
+    await expect(verifyRequestSignature(req, service)).resolves.toBeNull();
+  });
+
+  it('requires all signature headers', async () => {
+    const req = buildSignedRequest();
+    delete req.headers['x-signature-nonce'];
+
+    await expect(verifyRequestSignature(req, service)).resolves.toMatchObject({ statusCode: 401 });
+  });
+
+  it.each([
+    ['too old', -600],
+    ['too far in the future', 600]
+  ])('rejects timestamps %s', async (label, offset) => {
+    const req = buildSignedRequest({ timestamp: String(Math.floor(Date.now() / 1000) + offset) });
+
+    await expect(verifyRequestSignature(req, service)).resolves.toMatchObject({
+      message: 'Request signature has expired. Check the request timestamp.'
+    });
+  });
+
+  it('rejects malformed nonces', async () => {
+    const req = buildSignedRequest({ nonce: 'short' });
+
+    await expect(verifyRequestSignature(req, service)).resolves.toMatchObject({ message: 'Invalid request nonce.' });
+  });
+
+  it.each([
+    ['body', (req) => { req.rawBody = '{"username":"admin"}'; }],
+    ['URL', (req) => { req.originalUrl = '/api/users?notify=false'; }],
+    ['method', (req) => { req.method = 'PUT'; }]
+  ])('rejects requests whose %s was changed after signing', async (label, tamper) => {
+    const req = buildSignedRequest();
+    tamper(req);
+
+    await expect(verifyRequestSignature(req, service)).resolves.toMatchObject({ message: 'Invalid request signature.' });
+    expect(RequestNonce.claim).not.toHaveBeenCalled();
+  });
+
+  it('rejects signatures made with another key', async () => {
+    const req = buildSignedRequest();
+    const otherService = { ...service, getRequestSigningKey: () => 'toc_sig_other-secret' };
+
+    await expect(verifyRequestSignature(req, otherService)).resolves.toMatchObject({ message: 'Invalid request signature.' });
+  });
+
+  it('rejects services without a signing secret', async () => {
+    const req = buildSignedRequest();
+    const legacyService = { ...service, getRequestSigningKey: () => null };
+
+    await expect(verifyRequestSignature(req, legacyService)).resolves.toMatchObject({
+      message: 'This service has no signing secret. Regenerate its credentials to sign requests.'
+    });
+  });
+
+  it('rejects replayed nonces', async () => {
+    const req = buildSignedRequest();
+    RequestNonce.claim.mockResolvedValue(false);
+
+    await expect(verifyRequestSignature(req, service)).resolves.toMatchObject({
+      message: 'Request nonce has already been used.'
+    });
+  });
+});
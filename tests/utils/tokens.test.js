@@ -0,0 +1,173 @@
+jest.mock('../../src/models', () => ({
+  User: { findById: jest.fn() },
+  Token: { findOne: jest.fn(), markRotated: jest.fn(), revokeFamily: jest.fn() },
+  Service: { findById: jest.fn() },
+  AuditLog: { logAction: jest.fn() },
+  Role: { find: jest.fn() },
+  UserService: { distinct: jest.fn() },
+  PersonalAccessToken: { isPersonalAccessToken: jest.fn(), findByToken: jest.fn() }
+}));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { User, Token, AuditLog, Role, UserService, PersonalAccessToken } = require('../../src/models');
+const { consumeRefreshToken, verifyAccessToken } = require('../../src/utils/tokens');
+
+const req = { headers: { 'user-agent': 'jest' }, connection: { remoteAddress: '127.0.0.1' } };
+
+// A refresh token document as returned by Token.findOne
+const buildTokenDoc = (overrides = {}) => ({
+  _id: 'token-1',
+  token: 'refresh-1',
+  userId: 'user-1',
+  familyId: 'family-1',
+  metadata: { serviceId: null },
+  createdAt: new Date(),
+  sessionStartedAt: null,
+  rotatedAt: null,
+  isExpired: jest.fn().mockReturnValue(false),
+  deleteOne: jest.fn().mockResolvedValue(),
+  ...overrides
+});
+
+describe('consumeRefreshToken', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Token.revokeFamily.mockResolvedValue({ deletedCount: 3 });
+    AuditLog.logAction.mockResolvedValue();
+  });
+
+  it('claims a valid token for rotation', async () => {
+    const tokenDoc = buildTokenDoc();
+    const rotated = { ...tokenDoc, rotatedAt: new Date() };
+    const user = { _id: 'user-1', status: 'active' };
+    Token.findOne.mockResolvedValue(tokenDoc);
+    User.findById.mockResolvedValue(user);
+    Token.markRotated.mockResolvedValue(rotated);
+
+    await expect(consumeRefreshToken(req, 'refresh-1')).resolves.toEqual({ tokenDoc: rotated, user });
+    expect(Token.markRotated).toHaveBeenCalledWith('token-1');
+    expect(Token.revokeFamily).not.toHaveBeenCalled();
+  });
+
+  it('revokes the whole family when a rotated token is presented again', async () => {
+    const tokenDoc = buildTokenDoc({ rotatedAt: new Date() });
+    Token.findOne.mockResolvedValue(tokenDoc);
+
+    await expect(consumeRefreshToken(req, 'refresh-1')).rejects.toMatchObject({
+      statusCode: 401,
+      message: expect.stringContaining('already been used')
+    });
+    expect(Token.revokeFamily).toHaveBeenCalledWith(tokenDoc);
+    expect(AuditLog.logAction).toHaveBeenCalledWith(
+      'security:refresh_token_reuse',
+      expect.objectContaining({ familyId: 'family-1', revokedCount: 3 }),
+      expect.objectContaining({ userId: 'user-1' })
+    );
+    expect(Token.markRotated).not.toHaveBeenCalled();
+  });
+
+  it('revokes the family when a concurrent request rotated the token first', async () => {
+    const tokenDoc = buildTokenDoc();
+    Token.findOne.mockResolvedValue(tokenDoc);
+    User.findById.mockResolvedValue({ _id: 'user-1', status: 'active' });
+    Token.markRotated.mockResolvedValue(null);
+
+    await expect(consumeRefreshToken(req, 'refresh-1')).rejects.toMatchObject({ statusCode: 401 });
+    expect(Token.revokeFamily).toHaveBeenCalledWith(tokenDoc);
+  });
+
+  it('rejects unknown tokens', async () => {
+    Token.findOne.mockResolvedValue(null);
+
+    await expect(consumeRefreshToken(req, 'missing')).rejects.toMatchObject({
+      statusCode: 401,
+      message: 'Invalid refresh token.'
+    });
+  });
+
+  it('rejects tokens issued to another service', async () => {
+    Token.findOne.mockResolvedValue(buildTokenDoc({ metadata: { serviceId: 'service-a' } }));
+
+    await expect(consumeRefreshToken(req, 'refresh-1', 'service-b')).rejects.toMatchObject({
+      message: 'Invalid refresh token.'
+    });
+    expect(Token.markRotated).not.toHaveBeenCalled();
+  });
+
+  it('deletes expired tokens', async () => {
+    const tokenDoc = buildTokenDoc({ isExpired: jest.fn().mockReturnValue(true) });
+    Token.findOne.mockResolvedValue(tokenDoc);
+
+    await expect(consumeRefreshToken(req, 'refresh-1')).rejects.toMatchObject({ message: 'Refresh token expired.' });
+    expect(tokenDoc.deleteOne).toHaveBeenCalled();
+  });
+
+  it('ends sessions past the absolute timeout, falling back to createdAt', async () => {
+    const longAgo = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000);
+    const tokenDoc = buildTokenDoc({ createdAt: new Date(), sessionStartedAt: longAgo });
+    Token.findOne.mockResolvedValue(tokenDoc);
+
+    await expect(consumeRefreshToken(req, 'refresh-1')).rejects.toMatchObject({
+      message: 'Session expired. Please log in again.'
+    });
+    expect(tokenDoc.deleteOne).toHaveBeenCalled();
+
+    const legacyDoc = buildTokenDoc({ createdAt: longAgo, sessionStartedAt: undefined });
+    Token.findOne.mockResolvedValue(legacyDoc);
+
+    await expect(consumeRefreshToken(req, 'refresh-1')).rejects.toMatchObject({
+      message: 'Session expired. Please log in again.'
+    });
+  });
+
+  it('rejects inactive users without rotating the token', async () => {
+    Token.findOne.mockResolvedValue(buildTokenDoc());
+    User.findById.mockResolvedValue({ _id: 'user-1', status: 'suspended' });
+
+    await expect(consumeRefreshToken(req, 'refresh-1')).rejects.toMatchObject({ statusCode: 403 });
+    expect(Token.markRotated).not.toHaveBeenCalled();
+  });
+});
+
+describe('verifyAccessToken with a personal access token', () => {
+  const user = {
+    _id: 'user-1',
+    username: 'jdoe',
+    status: 'active',
+    isTokenIssuedBeforeRevocation: jest.fn().mockReturnValue(false)
+  };
+  let personalAccessToken;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    personalAccessToken = {
+      _id: 'pat-1',
+      userId: 'user-1',
+      serviceId: null,
+      scopes: ['user:read'],
+      createdAt: new Date(),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      isExpired: jest.fn().mockReturnValue(false),
+      recordUse: jest.fn().mockResolvedValue()
+    };
+    PersonalAccessToken.isPersonalAccessToken.mockReturnValue(true);
+    PersonalAccessToken.findByToken.mockResolvedValue(personalAccessToken);
+    User.findById.mockResolvedValue(user);
+    UserService.distinct.mockResolvedValue([]);
+    Role.find.mockResolvedValue([]);
+  });
+
+  it('records the use of the token', async () => {
+    const result = await verifyAccessToken('toc_pat_1');
+
+    expect(result.personalAccessToken).toBe(personalAccessToken);
+    expect(personalAccessToken.recordUse).toHaveBeenCalled();
+  });
+
+  it('leaves the token untouched with recordUse: false', async () => {
+    const result = await verifyAccessToken('toc_pat_1', { recordUse: false });
+
+    expect(result.decoded).toMatchObject({ id: 'user-1', pat: 'pat-1', scope: 'user:read' });
+    expect(personalAccessToken.recordUse).not.toHaveBeenCalled();
+  });
+});
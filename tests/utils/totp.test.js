@@ -0,0 +1,85 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpauthUrl
+} = require('../../src/utils/totp');
+
+// RFC 6238 appendix B secret ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('totp', () => {
+  describe('base32', () => {
+    it('encodes and decodes RFC 4648 test vectors', () => {
+      expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+      expect(base32Decode('MZXW6YTBOI').toString()).toBe('foobar');
+      expect(base32Decode('mzxw6ytboi======').toString()).toBe('foobar');
+    });
+
+    it('rejects characters outside the alphabet', () => {
+      expect(() => base32Decode('MZXW1')).toThrow('Invalid base32 character');
+    });
+
+    it('generates 160-bit secrets', () => {
+      const secret = generateSecret();
+
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(base32Decode(secret)).toHaveLength(20);
+    });
+  });
+
+  describe('generateTOTP', () => {
+    it.each([
+      [59, '287082'],
+      [1111111109, '081804'],
+      [1111111111, '050471'],
+      [1234567890, '005924'],
+      [2000000000, '279037'],
+      [20000000000, '353130']
+    ])('matches the RFC 6238 value at %i seconds', (seconds, expected) => {
+      expect(generateTOTP(RFC_SECRET, seconds * 1000)).toBe(expected);
+    });
+  });
+
+  describe('verifyTOTP', () => {
+    const time = 1111111111 * 1000;
+    const step = Math.floor(1111111111 / 30);
+
+    it('returns the time step of a valid code', () => {
+      expect(verifyTOTP(RFC_SECRET, '050471', 1, time)).toBe(step);
+    });
+
+    it('accepts codes from adjacent steps within the window', () => {
+      expect(verifyTOTP(RFC_SECRET, generateTOTP(RFC_SECRET, time - 30000), 1, time)).toBe(step - 1);
+      expect(verifyTOTP(RFC_SECRET, generateTOTP(RFC_SECRET, time + 30000), 1, time)).toBe(step + 1);
+    });
+
+    it('rejects codes outside the window', () => {
+      expect(verifyTOTP(RFC_SECRET, generateTOTP(RFC_SECRET, time - 60000), 1, time)).toBeNull();
+      expect(verifyTOTP(RFC_SECRET, generateTOTP(RFC_SECRET, time - 30000), 0, time)).toBeNull();
+    });
+
+    it('rejects malformed codes', () => {
+      expect(verifyTOTP(RFC_SECRET, '', 1, time)).toBeNull();
+      expect(verifyTOTP(RFC_SECRET, '05047', 1, time)).toBeNull();
+      expect(verifyTOTP(RFC_SECRET, '0504711', 1, time)).toBeNull();
+      expect(verifyTOTP(RFC_SECRET, '05047a', 1, time)).toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUrl', () => {
+    it('builds an otpauth URI with the issuer and account', () => {
+      const url = new URL(buildOtpauthUrl(RFC_SECRET, 'alice@example.com', 'TOC'));
+
+      expect(url.protocol).toBe('otpauth:');
+      expect(url.host).toBe('totp');
+      expect(decodeURIComponent(url.pathname)).toBe('/TOC:alice@example.com');
+      expect(url.searchParams.get('secret')).toBe(RFC_SECRET);
+      expect(url.searchParams.get('issuer')).toBe('TOC');
+      expect(url.searchParams.get('digits')).toBe('6');
+      expect(url.searchParams.get('period')).toBe('30');
+    });
+  });
+});